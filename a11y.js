@@ -0,0 +1,194 @@
+// ============================================================
+//  ACCESSIBILITY — reduced motion, DOM controls, announcements
+//  Reduced motion follows the OS (prefers-reduced-motion) or the
+//  settings toggle: pulses and twinkles hold steady, petals stop
+//  spinning and drags don't fling.
+//  A toolbar of real buttons mirrors the canvas controls. It stays
+//  visually hidden until something in it has keyboard focus, and
+//  out of reach entirely until the world is ready to play.
+//  A polite live region reads out found symbols, the time of day
+//  and the weather.
+// ============================================================
+
+// tod → spoken phase; each entry is [upper bound, name]
+const TOD_PHASES = [
+  [0.15, 'afternoon'],
+  [0.45, 'golden hour'],
+  [0.80, 'dusk'],
+  [1.01, 'night']
+];
+const PHASE_SETTLE = 45;    // frames a phase must hold before it's read out
+
+let osReducedMotion = false;
+let liveRegion      = null;
+let pendingNotes    = [];
+let a11yControls    = {};   // name → p5.Element
+let a11yBar         = null;
+
+let spokenPhase    = '';
+let candidatePhase = '';
+let candidateSince = 0;
+let spokenWeather  = '';
+
+function initAccessibility() {
+  if (window.matchMedia) {
+    let mq = window.matchMedia('(prefers-reduced-motion: reduce)');
+    osReducedMotion = mq.matches;
+    mq.addEventListener('change', e => { osReducedMotion = e.matches; });
+  }
+
+  describe('A slow side-scrolling landscape that passes from afternoon ' +
+           'through golden hour and dusk into night. Four glowing symbols ' +
+           '(sun, leaf, star and moon) are hidden along the way.');
+
+  liveRegion = createDiv('');
+  liveRegion.class('sr-only');
+  liveRegion.attribute('role', 'status');
+  liveRegion.attribute('aria-live', 'polite');
+
+  let bar = createDiv('');
+  bar.class('a11y-controls');
+  bar.attribute('role', 'toolbar');
+  bar.attribute('aria-label', 'Sketch controls');
+  bar.elt.hidden = true;   // shown by syncControls() once the scene and strings are in
+  a11yBar = bar;
+
+  addControl(bar, 'begin', 'Begin', () => {
+    if (gameState === 'start') startPlaying();
+    else                       closeCompletionCard();
+  });
+  addControl(bar, 'biome',      'Biome',           () => nextBiome(1));
+  addControl(bar, 'lang',       'Language',        () => nextLanguage(1));
+  addControl(bar, 'tour',       'Guided tour (G)', startTour);
+  addControl(bar, 'autoscroll', 'Autoscroll (A)',  () => { autoScroll = !autoScroll; });
+  addControl(bar, 'time',       'Time of day',     nextTodMode);
+  addControl(bar, 'weather',    'Weather',         nextWeather);
+  addControl(bar, 'sound',      'Sound (M)',       () => { startSoundscape(); toggleMute(); });
+
+  let vol = createSlider(0, 100, round(volume * 100), 1);
+  vol.parent(bar);
+  vol.attribute('aria-label', 'Volume');
+  vol.input(() => { startSoundscape(); setVolume(vol.value() / 100); });
+  a11yControls.volume = vol;
+
+  addControl(bar, 'motion',     'Reduce motion',   () => {
+    settings.reduceMotion = !settings.reduceMotion;
+    saveSettings();
+  });
+  addControl(bar, 'settings',   'Settings (S)',    toggleSettings);
+  addControl(bar, 'fullscreen', 'Fullscreen (F)',  toggleFullscreen);
+  addControl(bar, 'reset',      'Reset found symbols (R)', resetDiscoveries);
+  addControl(bar, 'export',     'Export session log (E)',  exportSession);
+}
+
+// Actions wait for the world and stand aside during a replay or a
+// recording, like the canvas's own input does
+function addControl(bar, name, label, action) {
+  let btn = createButton(label);
+  btn.parent(bar);
+  btn.mouseClicked(() => {
+    if (scene && langReady && !replaying && !recording) action();
+  });
+  a11yControls[name] = btn;
+}
+
+function motionReduced() {
+  return osReducedMotion || settings.reduceMotion;
+}
+
+// 0–1 pulse for a sine phase; holds at the midpoint when motion is reduced
+function pulseAt(phase) {
+  return motionReduced() ? 0.5 : (sin(phase) + 1) * 0.5;
+}
+
+// Keys typed into a DOM control belong to it, not the sketch
+function keyForControl(event) {
+  let el = event && event.target;
+  if (!el || !el.tagName) return false;
+  if (el.tagName === 'INPUT') return true;
+  return el.tagName === 'BUTTON' && (key === 'Enter' || key === ' ');
+}
+
+function controlHasFocus() {
+  let el = document.activeElement;
+  return !!el && el.tagName === 'INPUT';
+}
+
+// ─── Announcements ───────────────────────────────────────────
+function announce(msg) {
+  pendingNotes.push(msg);
+}
+
+function todPhase(t) {
+  for (let [upper, name] of TOD_PHASES) {
+    if (t < upper) return name;
+  }
+  return 'night';
+}
+
+// Once per frame: note phase and weather changes, then speak
+// everything queued this frame as one message
+function updateAnnouncements() {
+  if (gameState === 'playing') {
+    let phase = todPhase(tod);
+    if (phase !== candidatePhase) {
+      candidatePhase = phase;
+      candidateSince = frameCount;
+    } else if (phase !== spokenPhase && frameCount - candidateSince >= PHASE_SETTLE) {
+      spokenPhase = phase;
+      announce('Time of day: ' + phase + '.');
+    }
+
+    if (weatherName !== spokenWeather) {
+      spokenWeather = weatherName;
+      announce('Weather: ' + weatherName + '.');
+    }
+  }
+
+  if (pendingNotes.length > 0 && liveRegion) {
+    liveRegion.html(pendingNotes.join(' '));
+    pendingNotes = [];
+  }
+}
+
+// ─── DOM toolbar state ───────────────────────────────────────
+// Keep labels and pressed states in step with the sketch
+function syncControls() {
+  let c = a11yControls;
+  if (!c.begin) return;
+  if (a11yBar.elt.hidden) a11yBar.elt.hidden = false;
+
+  let waiting = gameState !== 'playing';
+  c.begin.elt.hidden = !waiting;
+  setControlText(c.begin, gameState === 'complete' ? 'Continue' : 'Begin');
+  // The biome, language and tour are chosen before beginning; the
+  // rest are for play
+  for (let name in c) {
+    if (name === 'begin') continue;
+    let before = name === 'biome' || name === 'lang' || name === 'tour';
+    c[name].elt.hidden = before !== (gameState === 'start');
+  }
+
+  setPressed(c.autoscroll, autoScroll);
+  setPressed(c.sound,      !muted);
+  setPressed(c.motion,     motionReduced());
+  setPressed(c.settings,   settingsOpen);
+  setControlText(c.time,    'Time of day: ' + todMode + ' (T)');
+  setControlText(c.weather, 'Weather: ' + weatherName + ' (W)');
+  setControlText(c.biome,   'Biome: ' + biome().label + ' (\u2190 \u2192)');
+  setControlText(c.lang,    'Language: ' + LANGS[langCode] + ' (L)');
+
+  if (document.activeElement !== c.volume.elt) {
+    let v = round((muted ? 0 : volume) * 100);
+    if (c.volume.value() !== v) c.volume.value(v);
+  }
+}
+
+function setControlText(el, text) {
+  if (el.elt.textContent !== text) el.html(text);
+}
+
+function setPressed(el, on) {
+  let v = on ? 'true' : 'false';
+  if (el.elt.getAttribute('aria-pressed') !== v) el.attribute('aria-pressed', v);
+}
@@ -0,0 +1,415 @@
+// ============================================================
+//  BIOMES — the same world in different country
+//  A biome supplies:
+//  - sky stops (or keeps the scene's own)
+//  - named colours for hills, ground, trees, plants and air
+//  - which tree and ground plant stand at the scene's positions
+//  - what drifts in the air instead of petals
+//  Terrain, symbols and the tod walk come from the scene
+//  unchanged, so every biome still runs afternoon → night and
+//  hides the same four symbols.
+//  Picked on the start card (or ←/→ there), or with ?biome=<name>.
+//  The last choice is remembered.
+// ============================================================
+
+const BIOME_KEY = 'passingFields.biome';
+
+// colors: every named colour the layers draw with, as full-daylight
+// [r, g, b] passed through dn(). Every biome names the sky, weather
+// and symbol glow colours; beyond those it only names the colours
+// its own trees, plants and particles use — no grass means no grass.
+// The palette editor (palette.js) works on a copy of these.
+const BIOMES = {
+  meadow: {
+    label:    'Meadow',
+    sky:      null,                 // the scene's own stops
+    colors: {
+      far:         [205, 188, 225],
+      ridge:       [225, 212, 240],
+      mid:         [162, 204, 170],
+      ground:      [130, 182, 142],
+      water:       [88, 146, 168],  // pond under an afternoon sky
+      waterNight:  [14, 22, 50],
+      grass:       [90, 152, 100],
+      glow:        [255, 145, 38],  // sunset band on the horizon
+      cloud:       [255, 245, 250],
+      cloudNight:  [48, 42, 88],
+      cloudBlush:  [255, 220, 235], // afternoon pink on the cloud tops
+      starlight:   [245, 248, 255],
+      mist:        [235, 232, 238],
+      rain:        [200, 212, 228], // not darkened — streaks fade instead
+      symbolGlow:  [255, 228, 115],
+      trunk:       [148, 108, 78],
+      canopy:      [108, 162, 122],
+      canopyShade: [92, 150, 110],
+      canopyLight: [122, 175, 136],
+      stem:        [92, 145, 80],
+      bloomHeart:  [255, 242, 100],
+      petal:       [230, 148, 182], // each petal mixes these two, channel by channel
+      petalPale:   [255, 218, 234],
+      firefly:     [195, 255, 110], // what petals turn into by night
+      bird:        [70, 62, 84],
+      hare:        [150, 118, 92],
+      hareTail:    [240, 236, 228],
+      bat:         [58, 50, 66],
+      owl:         [138, 108, 82],
+      owlEye:      [255, 214, 90],  // not darkened — eyes catch the light
+      owlPupil:    [20, 14, 10]
+    },
+    tree:     'round',
+    plant:    'bloom',
+    particle: 'petal'
+  },
+  snow: {
+    label: 'Snowy Pines',
+    sky: {
+      topStops: [[168, 190, 228], [238, 168, 135], [68, 58, 128], [6, 12, 40]],
+      botStops: [[232, 238, 250], [255, 192, 155], [165, 108, 158], [14, 20, 58]]
+    },
+    colors: {
+      far:         [198, 208, 234],
+      ridge:       [236, 242, 252],
+      mid:         [172, 192, 214],
+      ground:      [232, 238, 246],
+      water:       [150, 186, 208],
+      waterNight:  [20, 28, 60],
+      glow:        [255, 145, 38],
+      cloud:       [255, 245, 250],
+      cloudNight:  [48, 42, 88],
+      cloudBlush:  [255, 220, 235],
+      starlight:   [245, 248, 255],
+      mist:        [235, 232, 238],
+      rain:        [200, 212, 228],
+      symbolGlow:  [255, 228, 115],
+      trunk:       [108, 80, 62],
+      needles:     [58, 104, 90],
+      snowCap:     [240, 245, 252],
+      shrub:       [72, 108, 92],
+      flake:       [255, 255, 255],
+      flakeNight:  [200, 215, 255],
+      bird:        [64, 60, 76],
+      hare:        [236, 238, 244], // snowshoe hare, white for winter
+      hareTail:    [240, 236, 228],
+      bat:         [58, 50, 66],
+      owl:         [226, 228, 236], // snowy owl
+      owlEye:      [255, 214, 90],
+      owlPupil:    [20, 14, 10]
+    },
+    tree:     'pine',
+    plant:    'shrub',
+    particle: 'snow'
+  },
+  desert: {
+    label: 'Desert Dunes',
+    sky: {
+      topStops: [[148, 185, 226], [255, 160, 72], [108, 50, 108], [10, 10, 45]],
+      botStops: [[250, 226, 182], [255, 120, 42], [198, 90, 90], [22, 14, 50]]
+    },
+    colors: {
+      far:         [226, 182, 152],
+      ridge:       [246, 216, 186],
+      mid:         [222, 172, 112],
+      ground:      [236, 202, 142],
+      water:       [64, 150, 156],
+      waterNight:  [14, 24, 48],
+      grass:       [176, 150, 92],
+      glow:        [255, 145, 38],
+      cloud:       [255, 245, 250],
+      cloudNight:  [48, 42, 88],
+      cloudBlush:  [255, 220, 235],
+      starlight:   [245, 248, 255],
+      mist:        [235, 232, 238],
+      rain:        [200, 212, 228],
+      symbolGlow:  [255, 228, 115],
+      cactus:      [96, 142, 92],
+      rock:        [172, 140, 116],
+      rockLight:   [205, 176, 148],
+      sand:        [226, 196, 140],
+      sandNight:   [90, 80, 90],
+      bird:        [84, 66, 60],
+      hare:        [196, 160, 120], // jackrabbit
+      hareTail:    [240, 236, 228],
+      bat:         [66, 52, 56],
+      owl:         [170, 140, 110], // elf owl, at home in a cactus
+      owlEye:      [255, 214, 90],
+      owlPupil:    [20, 14, 10]
+    },
+    tree:     'cactus',
+    plant:    'rock',
+    particle: 'sand'
+  },
+  coast: {
+    label: 'Coastline',
+    sky: {
+      topStops: [[158, 200, 232], [250, 165, 112], [60, 70, 140], [6, 14, 48]],
+      botStops: [[224, 240, 246], [255, 176, 122], [150, 100, 150], [12, 22, 60]]
+    },
+    colors: {
+      far:         [150, 180, 206],
+      ridge:       [200, 222, 236],
+      mid:         [168, 190, 150],
+      ground:      [230, 214, 174],
+      water:       [70, 142, 172],
+      waterNight:  [12, 22, 50],
+      grass:       [150, 166, 110],
+      glow:        [255, 145, 38],
+      cloud:       [255, 245, 250],
+      cloudNight:  [48, 42, 88],
+      cloudBlush:  [255, 220, 235],
+      starlight:   [245, 248, 255],
+      mist:        [235, 232, 238],
+      rain:        [200, 212, 228],
+      symbolGlow:  [255, 228, 115],
+      trunk:       [120, 92, 70],
+      canopy:      [78, 122, 100],
+      canopyLight: [96, 140, 114],
+      spray:       [225, 240, 250],
+      bird:        [236, 238, 240], // gulls
+      hare:        [140, 126, 110],
+      hareTail:    [240, 236, 228],
+      bat:         [58, 50, 66],
+      owl:         [132, 112, 94],
+      owlEye:      [255, 214, 90],
+      owlPupil:    [20, 14, 10]
+    },
+    tree:     'cypress',
+    plant:    'shell',
+    particle: 'spray'
+  }
+};
+const BIOME_NAMES = Object.keys(BIOMES);
+
+// Start card chips
+const CHIP_W   = 96;
+const CHIP_H   = 24;
+const CHIP_GAP = 8;
+
+let biomeName = 'meadow';
+
+function initBiome() {
+  let name = new URLSearchParams(window.location.search).get('biome');
+  if (!BIOMES[name]) {
+    try {
+      name = localStorage.getItem(BIOME_KEY);
+    } catch (e) {
+      name = null;
+    }
+  }
+  if (BIOMES[name]) biomeName = name;
+}
+
+function biome() {
+  return BIOMES[biomeName];
+}
+
+// Sky stops for this biome, as the palette editor has left them
+function skyStops() {
+  return theme().sky;
+}
+
+function setBiome(name) {
+  if (!BIOMES[name] || name === biomeName) return;
+  biomeName = name;
+  invalidateLayerCaches();
+  if (!replaying) {
+    try {
+      localStorage.setItem(BIOME_KEY, name);
+    } catch (e) {
+      // Private browsing — the choice lasts for this visit only
+    }
+  }
+  announce('Biome: ' + biome().label + '.');
+}
+
+function nextBiome(d) {
+  let i = BIOME_NAMES.indexOf(biomeName);
+  setBiome(BIOME_NAMES[(i + d + BIOME_NAMES.length) % BIOME_NAMES.length]);
+}
+
+// ─── Start card chips ────────────────────────────────────────
+// One row of chips, each as wide as its label needs (at least
+// CHIP_W), centred on cx. The language chips use them too (i18n.js)
+function chipRects(names, labelOf, cx, y) {
+  push();
+  textSize(11);
+  let ws = names.map(name => max(CHIP_W, ceil(textWidth(labelOf(name))) + 16));
+  pop();
+  let total = ws.reduce((a, w) => a + w, 0) + (names.length - 1) * CHIP_GAP;
+  let x     = cx - total / 2;
+  return names.map((name, i) => {
+    let r = { name: name, label: labelOf(name), x: x, y: y - CHIP_H / 2, w: ws[i], h: CHIP_H };
+    x += ws[i] + CHIP_GAP;
+    return r;
+  });
+}
+
+function drawChips(rects, current) {
+  textAlign(CENTER, CENTER);
+  textSize(11);
+  for (let r of rects) {
+    let on = r.name === current;
+    fill(on ? color(88, 168, 112, 218) : color(242, 228, 208, 218));
+    stroke(on ? color(60, 132, 82, 200) : color(185, 158, 122, 190));
+    strokeWeight(1);
+    rect(r.x, r.y, r.w, r.h, 7);
+    noStroke();
+    fill(on ? color(22, 55, 32) : color(75, 52, 28));
+    text(r.label, r.x + r.w / 2, r.y + r.h / 2);
+  }
+}
+
+function biomeChipRects(cx, y) {
+  return chipRects(BIOME_NAMES, name => t('biome.' + name), cx, y);
+}
+
+function drawBiomeChips(cx, y) {
+  drawChips(biomeChipRects(cx, y), biomeName);
+}
+
+function biomeChipAt(cx, y, mx, my) {
+  let hit = biomeChipRects(cx, y).find(r => inRect(mx, my, r));
+  return hit ? hit.name : null;
+}
+
+// ============================================================
+//  TREES — one per scene tree position
+//  The meadow's round tree lives with drawTrees() in sketch.js
+// ============================================================
+
+// ─── Snow-laden pine ─────────────────────────────────────────
+function drawPineTree(tx, gY, h, w, ns) {
+  let [tr, tg, tb] = dn(...pal('trunk'), ns);
+  fill(tr, tg, tb);
+  rect(tx - 3, gY - 14, 6, 14);
+
+  // Three tiers, each capped with snow
+  let [fr, fg, fb] = dn(...pal('needles'), ns);
+  let [sr, sg, sb] = dn(...pal('snowCap'), ns);
+  for (let i = 0; i < 3; i++) {
+    let tw = w * (0.62 - i * 0.14);
+    let ty = gY - 12 - i * h * 0.3;
+    fill(fr, fg, fb);
+    triangle(tx - tw, ty, tx + tw, ty, tx, ty - h * 0.42);
+    fill(sr, sg, sb, 225);
+    triangle(tx - tw * 0.42, ty - h * 0.24, tx + tw * 0.42, ty - h * 0.24, tx, ty - h * 0.42);
+  }
+}
+
+// ─── Saguaro cactus ──────────────────────────────────────────
+function drawCactus(tx, gY, h, w, ns) {
+  let [cr, cg, cb] = dn(...pal('cactus'), ns);
+  let th = h * 0.9;
+  stroke(cr, cg, cb);
+  strokeWeight(11);
+  line(tx, gY, tx, gY - th);
+
+  // Arms bend upward; their heights come from the tree's own size
+  strokeWeight(7);
+  let ay = gY - th * 0.45;
+  line(tx, ay, tx - 14, ay);
+  line(tx - 14, ay, tx - 14, ay - w * 0.4);
+  let by = gY - th * 0.6;
+  line(tx, by, tx + 13, by);
+  line(tx + 13, by, tx + 13, by - w * 0.32);
+  noStroke();
+}
+
+// ─── Windswept cypress — leans away from the sea ─────────────
+function drawCypress(tx, gY, h, w, ns) {
+  let [tr, tg, tb] = dn(...pal('trunk'), ns);
+  stroke(tr, tg, tb);
+  strokeWeight(6);
+  let lean = w * 0.35;
+  line(tx, gY, tx + lean, gY - h * 0.8);
+  noStroke();
+
+  let [f1r, f1g, f1b] = dn(...pal('canopy'), ns);
+  fill(f1r, f1g, f1b, 225);
+  ellipse(tx + lean,      gY - h * 0.86, w * 1.3,  w * 0.42);
+  let [f2r, f2g, f2b] = dn(...pal('canopyLight'), ns);
+  fill(f2r, f2g, f2b, 210);
+  ellipse(tx + lean + 12, gY - h * 0.93, w * 0.9,  w * 0.32);
+}
+
+// ============================================================
+//  GROUND PLANTS — one per scene flower position
+//  The meadow's bloom lives with drawFlowers() in sketch.js
+// ============================================================
+
+// ─── Snowy shrub ─────────────────────────────────────────────
+function drawShrub(f, gy, ns) {
+  let [r, g, b] = dn(...pal('shrub'), ns);
+  fill(r, g, b);
+  arc(f.x, gy, 22, 20, PI, TWO_PI);
+  let [sr, sg, sb] = dn(...pal('snowCap'), ns);
+  fill(sr, sg, sb, 230);
+  arc(f.x, gy - 4, 18, 12, PI, TWO_PI);
+}
+
+// ─── Desert rock ─────────────────────────────────────────────
+function drawRock(f, gy, ns) {
+  let [r, g, b] = dn(...pal('rock'), ns);
+  fill(r, g, b);
+  ellipse(f.x, gy - 3, 18, 10);
+  let [hr, hg, hb] = dn(...pal('rockLight'), ns);
+  fill(hr, hg, hb);
+  ellipse(f.x - 3, gy - 6, 8, 4);
+}
+
+// ─── Shell — takes the flower's colour, paled ────────────────
+function drawShell(f, gy, ns) {
+  let c = f.c.map(v => lerp(v, 255, 0.55) * ns);
+  fill(c[0], c[1], c[2]);
+  arc(f.x, gy - 1, 14, 14, PI, TWO_PI);
+  stroke(c[0] * 0.75, c[1] * 0.75, c[2] * 0.75);
+  strokeWeight(0.8);
+  for (let i = 1; i < 4; i++) {
+    let a = PI + i * PI / 4;
+    line(f.x, gy - 1, f.x + cos(a) * 7, gy - 1 + sin(a) * 7);
+  }
+  noStroke();
+}
+
+// ============================================================
+//  AIR — snow, blown sand and sea spray, in place of petals
+//  They reuse the petal records, so each seed keeps its layout.
+//  The meadow's petals and fireflies stay in sketch.js.
+// ============================================================
+function moveParticle(kind, p) {
+  let still = motionReduced();
+  if (kind === 'snow') {
+    p.wx += p.vx * 0.4 + windPush * 1.2 + (still ? 0 : sin(frameCount * 0.02 + p.ph) * 0.3);
+    p.y  += 0.35 + p.sz * 0.09;
+    if (p.y > surfaceY(p.wx)) p.y = 20;    // lands, and falls again from the top
+  } else if (kind === 'sand') {
+    p.wx += p.vx * 3 + windPush * 3;
+    if (!still) p.y += sin(frameCount * 0.05 + p.ph) * 0.4;
+    p.y = constrain(p.y, 80, 345);
+  } else if (kind === 'spray') {
+    p.wx += p.vx * 0.5 + windPush;
+    p.y  -= 0.25 + p.sz * 0.06;
+    if (p.y < 150) p.y = 345;
+  }
+}
+
+function drawParticle(kind, p, nightFactor) {
+  if (kind === 'snow') {
+    let [r, g, b] = lerpStops([pal('flake'), pal('flakeNight')], nightFactor);
+    fill(r, g, b, lerp(220, 150, nightFactor));
+    ellipse(p.wx, p.y, p.sz * 0.8, p.sz * 0.8);
+  } else if (kind === 'sand') {
+    // Sand keeps to a band just above the ground under it, however
+    // high or low the dunes run there, streaking with the wind
+    let y = surfaceY(p.wx) - map(p.y, 80, 345, 100, 4);
+    let [r, g, b] = lerpStops([pal('sand'), pal('sandNight')], nightFactor);
+    stroke(r, g, b, lerp(p.a, 60, nightFactor));
+    strokeWeight(max(1, p.sz * 0.3));
+    line(p.wx, y, p.wx - p.sz * 1.6, y + 0.5);
+    noStroke();
+  } else if (kind === 'spray') {
+    // Fades out as it rises
+    let a = map(p.y, 345, 150, p.a, 0) * lerp(1, 0.35, nightFactor);
+    fill(...pal('spray'), a);
+    ellipse(p.wx, p.y, p.sz * 0.7, p.sz * 0.7);
+  }
+}
@@ -0,0 +1,128 @@
+// ============================================================
+//  CAPTURE — PNG stills and a WebM of the full traverse
+//  P saves the current view as a PNG at shotScale× the canvas
+//  size (1–4, ?shot=<n>). V records the camera walking from
+//  camX = 0 to maxCamX() as WebM.
+//  Recording steps the sketch by hand, one redraw() per video
+//  frame, with the camera moving a fixed REC_SPEED each step.
+//  The MediaRecorder is paused while a frame renders, so a slow
+//  machine gives the same clip as a fast one, only more slowly.
+//  Both hide the UI.
+// ============================================================
+
+const REC_FPS   = 60;
+const REC_SPEED = 2;      // world px per video frame
+const SHOT_MAX  = 4;
+
+let shotScale = 2;
+let capturing = false;    // a still or video is being made — UI hidden
+let recording = false;    // the scripted traverse is running
+
+function initCapture() {
+  let n = parseInt(new URLSearchParams(window.location.search).get('shot'), 10);
+  if (n >= 1) shotScale = min(n, SHOT_MAX);
+}
+
+// ─── Still ───────────────────────────────────────────────────
+// Re-renders the frame at a higher pixel density and saves it.
+// Only drawFrame() runs, not draw(): the world, the session log
+// and frameCount stay where they were, so the PNG is what was on
+// screen. Cached layers draw straight to the canvas meanwhile (see
+// cachedLayer), so no buffers are allocated at that size.
+function captureStill() {
+  if (capturing || !scene) return;
+  let d0 = pixelDensity();
+  capturing = true;
+  pixelDensity(shotScale);
+  push();
+  resetMatrix();   // p5 scales it to the new density
+  drawFrame();
+  pop();
+  saveCanvas(captureName(), 'png');
+  pixelDensity(d0);
+  capturing = false;
+}
+
+function captureName() {
+  return 'passing-fields-' + worldSeed + '-' + nf(frameCount, 6);
+}
+
+// ─── Video ───────────────────────────────────────────────────
+function recordingSupported() {
+  return typeof MediaRecorder !== 'undefined' &&
+         typeof drawingContext.canvas.captureStream === 'function';
+}
+
+function recordMimeType() {
+  for (let t of ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']) {
+    if (MediaRecorder.isTypeSupported(t)) return t;
+  }
+  return null;
+}
+
+async function recordTraverse() {
+  if (capturing || !scene) return;
+  let type = recordingSupported() ? recordMimeType() : null;
+  if (!type) {
+    console.warn('WebM recording is not supported in this browser');
+    return;
+  }
+
+  let saved = { camX: camX, autoScroll: autoScroll, title: document.title };
+  logSessionEvent('halt');   // the drift and momentum zeroed below
+  capturing  = true;
+  recording  = true;
+  autoScroll = false;
+  driftVel   = 0;
+  camVel     = 0;
+  noLoop();
+
+  // captureStream(0) only takes a frame when asked
+  let stream = drawingContext.canvas.captureStream(0);
+  let track  = stream.getVideoTracks()[0];
+  let rec    = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: 12000000 });
+  let chunks = [];
+  rec.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+  let stopped = new Promise(resolve => { rec.onstop = resolve; });
+  rec.start();
+  rec.pause();
+
+  let steps = ceil(maxCamX() / REC_SPEED);
+  for (let i = 0; i <= steps && recording; i++) {
+    camX = min(i * REC_SPEED, maxCamX());
+    redraw();
+
+    // Let exactly one frame's worth of time into the recording
+    rec.resume();
+    track.requestFrame();
+    await new Promise(resolve => setTimeout(resolve, 1000 / REC_FPS));
+    rec.pause();
+    document.title = 'Recording ' + floor(100 * i / max(steps, 1)) + '%';
+  }
+
+  rec.stop();
+  await stopped;
+  track.stop();
+  if (recording) saveBlob(new Blob(chunks, { type: 'video/webm' }), captureName() + '.webm');
+
+  camX           = saved.camX;
+  autoScroll     = saved.autoScroll;
+  document.title = saved.title;
+  recording = false;
+  capturing = false;
+  loop();
+}
+
+// Escape during a recording throws it away
+function cancelRecording() {
+  recording = false;
+}
+
+function saveBlob(blob, filename) {
+  let url  = URL.createObjectURL(blob);
+  let link = createA(url, '');
+  link.attribute('download', filename);
+  link.elt.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
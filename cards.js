@@ -0,0 +1,183 @@
+// ============================================================
+//  SYMBOL CARDS — click or tap a symbol to read about it
+//  Titles and texts live in content/symbols.json, keyed by
+//  symbol type, so they can be rewritten without touching code;
+//  a language table can retell them (i18n.js).
+//  A tap opens the card on release (so a swipe that starts on a
+//  symbol still just pans) and stops autoscroll. A click outside
+//  the card or Escape closes it.
+// ============================================================
+
+const CARDS_PATH  = 'content/symbols.json';
+const SYMBOL_HIT  = 28;      // world px around a symbol that count as a hit
+const TAP_SLOP    = 8;       // canvas px a press may wander and still be a tap
+const CARD_W      = 440;
+const CARD_H      = 210;
+
+let cardContent = {};        // type → { title, text }
+let symbolCard  = null;      // the symbol whose card is open
+let cardOpenAt  = 0;         // frameCount when it opened
+let overSymbol  = false;     // pointer is over a symbol (hand cursor)
+
+// ─── Content ─────────────────────────────────────────────────
+// Anything missing or malformed falls back to a bare title, with
+// the problem logged — a typo in the copy never breaks the sketch
+function initSymbolCards() {
+  for (let type of SYMBOL_TYPES) cardContent[type] = fallbackCard(type);
+
+  loadJSON(CARDS_PATH,
+    (data) => {
+      if (!isObj(data)) {
+        console.warn('[cards] ' + CARDS_PATH + ': top level must be an object');
+        return;
+      }
+      for (let type of SYMBOL_TYPES) {
+        let c = data[type];
+        if (isObj(c) && typeof c.title === 'string' && typeof c.text === 'string') {
+          cardContent[type] = { title: c.title, text: c.text };
+        } else {
+          console.warn('[cards] ' + CARDS_PATH + ': ' + type + ' needs a title and text');
+        }
+      }
+    },
+    () => console.warn('[cards] could not load ' + CARDS_PATH)
+  );
+}
+
+// The card's copy in the current language, falling back to the
+// content file's
+function symbolCopy(type) {
+  let c = cardContent[type];
+  return {
+    title: langString('symbol.' + type + '.title') || c.title,
+    text:  langString('symbol.' + type + '.text')  || c.text
+  };
+}
+
+function fallbackCard(type) {
+  return { title: 'The ' + type.charAt(0).toUpperCase() + type.slice(1), text: '' };
+}
+
+// ─── Hit testing ─────────────────────────────────────────────
+// Canvas pixel → world point, through the same transforms draw()
+// uses for the world layers. On the ring every copy counts.
+function symbolAt(px, py) {
+  let wx = px / viewScale + parallaxX(1);
+  let wy = (py - viewOffY) / viewScale;
+  for (let s of symbols) {
+    let dx = wx - s.wx;
+    if (loopMode === 'wrap') {
+      dx = ((dx % WORLD_W) + WORLD_W) % WORLD_W;
+      if (dx > WORLD_W / 2) dx -= WORLD_W;
+    }
+    if (dx * dx + (wy - s.wy) * (wy - s.wy) <= SYMBOL_HIT * SYMBOL_HIT) return s;
+  }
+  return null;
+}
+
+// Hand cursor over a symbol or the minimap; only touches the DOM
+// when it changes
+function updateSymbolCursor() {
+  let over = gameState === 'playing' && !settingsOpen && !symbolCard && !replaying &&
+             (symbolAt(mouseX, mouseY) !== null || overMinimap(mouseX / uiScale, mouseY / uiScale));
+  if (over === overSymbol) return;
+  overSymbol = over;
+  cursor(over ? HAND : ARROW);
+}
+
+// ─── Open / close ────────────────────────────────────────────
+function openSymbolCard(s) {
+  symbolCard = s;
+  cardOpenAt = frameCount;
+  autoScroll = false;
+  camVel     = 0;
+  let c = symbolCopy(s.type);
+  announce(c.title + '. ' + c.text);
+}
+
+function closeSymbolCard() {
+  symbolCard = null;
+}
+
+function symbolCardRect() {
+  let w = min(CARD_W, UI_W - 24);
+  return { x: UI_W / 2 - w / 2, y: UI_H / 2 - CARD_H / 2 - 4, w: w, h: CARD_H };
+}
+
+// Every press goes to the card while it is open; outside closes it
+function symbolCardPressed(mx, my) {
+  if (!inRect(mx, my, symbolCardRect())) closeSymbolCard();
+}
+
+// ============================================================
+//  CARD — parchment, with the symbol large on a night-blue disc
+// ============================================================
+function drawSymbolCard() {
+  let s    = symbolCard;
+  let c    = symbolCopy(s.type);
+  let p    = symbolCardRect();
+  let fade = constrain((frameCount - cardOpenAt) / 20, 0, 1);
+  let still = motionReduced();
+
+  noStroke();
+  fill(18, 12, 38, 120 * fade);
+  rect(0, 0, UI_W, UI_H);
+
+  // Card drop-shadow
+  fill(0, 0, 0, 55 * fade);
+  rect(p.x + 5, p.y + 5, p.w, p.h, 16);
+
+  // Card face — warm parchment
+  fill(255, 248, 232, 242 * fade);
+  rect(p.x, p.y, p.w, p.h, 14);
+
+  stroke(215, 185, 145, 180 * fade);
+  strokeWeight(1.5);
+  noFill();
+  rect(p.x, p.y, p.w, p.h, 14);
+  noStroke();
+
+  // ── The symbol — breathes, bobs and (the sun) turns ─────
+  let dx = p.x + 82;
+  let dy = p.y + p.h / 2 - 10;
+  fill(34, 26, 68, 230 * fade);
+  ellipse(dx, dy, 124, 124);
+
+  let pulse = pulseAt(frameCount * 0.05);
+  push();
+  translate(dx, dy + (still ? 0 : sin(frameCount * 0.03) * 3));
+  if (s.type === 'sun' && !still) rotate(frameCount * 0.004);
+  scale(2.6 + pulse * 0.2);
+  drawingContext.globalAlpha = fade;
+  for (let r = 22; r > 0; r -= 2.5) {
+    fill(255, 228, 115, map(r, 22, 0, 0, 40 + pulse * 60));
+    ellipse(0, 0, r * 2, r * 2);
+  }
+  drawSymbolShape(s.type, 0, 0, pulse);
+  drawingContext.globalAlpha = 1;
+  pop();
+
+  // ── Title and text ──────────────────────────────────────
+  let tx = p.x + 164;
+  let tw = p.w - 164 - 24;
+  noStroke();
+  textAlign(LEFT, TOP);
+  textSize(17);
+  fill(72, 50, 28, 255 * fade);
+  text(c.title, tx, p.y + 26);
+
+  stroke(205, 178, 140, 160 * fade);
+  strokeWeight(1);
+  line(tx, p.y + 54, tx + tw, p.y + 54);
+  noStroke();
+
+  textSize(12);
+  textLeading(18);
+  fill(105, 78, 50, 255 * fade);
+  text(c.text, tx, p.y + 66, tw, p.h - 66 - 40);
+
+  textAlign(CENTER, CENTER);
+  textSize(11);
+  fill(148, 115, 78, 230 * fade);
+  text(t('card.close'), p.x + p.w / 2, p.y + p.h - 18);
+}
@@ -0,0 +1,209 @@
+// ============================================================
+//  CELESTIAL — sun, moon, constellations and shooting stars
+//  Screen-space like the stars: the sky doesn't scroll.
+//  - The sun sinks along an arc as tod rises and sets behind the
+//    far hills by golden hour's end
+//  - The moon rises through dusk in tonight's real phase, worked
+//    out from the date (?moon=0–1 overrides; 0 new, 0.5 full).
+//    The lit part is drawn as its own shape, so it sits right on
+//    any sky colour.
+//  - Three constellations sit among the random stars, with faint
+//    lines joining them once it is fully dark
+//  - Shooting stars cross now and then at deep night (not with
+//    reduced motion), timed like the wildlife by a step count
+// ============================================================
+
+const SYNODIC_DAYS = 29.530588853;
+const NEW_MOON_REF = Date.UTC(2000, 0, 6, 18, 14);   // a known new moon
+
+const SUN_SET_TOD  = 0.62;   // tod when the sun reaches the horizon
+const SKY_TOP      = 70;     // highest point of the sun and moon
+const SKY_HORIZON  = 250;    // where they meet the far hills
+
+// Patterns in view px around an anchor; at: [fraction of VIEW_W, y].
+// sz: star size, brightest first
+const CONSTELLATIONS = [
+  {
+    name:  'Plough',
+    at:    [0.08, 44],
+    stars: [[0, 0], [22, 6], [40, 14], [58, 22], [62, 44], [90, 48], [94, 22]],
+    sz:    [2.4, 2.2, 2.0, 1.8, 2.2, 2.4, 2.3],
+    lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 3]]
+  },
+  {
+    name:  'Cassiopeia',
+    at:    [0.36, 34],
+    stars: [[0, 10], [16, 28], [32, 14], [48, 30], [64, 6]],
+    sz:    [2.2, 2.4, 2.3, 2.0, 2.1],
+    lines: [[0, 1], [1, 2], [2, 3], [3, 4]]
+  },
+  {
+    name:  'Orion',
+    at:    [0.56, 74],
+    stars: [[0, 0], [44, 6], [14, 40], [22, 38], [30, 36], [4, 74], [44, 70], [22, -14]],
+    sz:    [2.8, 2.2, 2.0, 2.0, 2.0, 2.1, 2.8, 1.6],
+    lines: [[7, 0], [7, 1], [0, 2], [1, 4], [2, 3], [3, 4], [2, 5], [4, 6]]
+  }
+];
+
+let moonPhase    = 0;     // 0 new → 0.25 first quarter → 0.5 full → 0.75 last quarter
+let celT         = 0;     // celestial steps — its clock for noise()
+let meteors      = [];    // { x, y, vx, vy, age, life }
+let nextMeteorAt = 0;
+
+function initCelestial() {
+  let m = parseFloat(new URLSearchParams(window.location.search).get('moon'));
+  moonPhase = (m >= 0 && m <= 1) ? m : lunarPhase(new Date());
+}
+
+// Fraction of the way through the lunar month at a given date
+function lunarPhase(date) {
+  let days = (date.getTime() - NEW_MOON_REF) / 86400000;
+  return (((days / SYNODIC_DAYS) % 1) + 1) % 1;
+}
+
+// Called from buildWorld() alongside the wildlife
+function resetCelestial() {
+  celT         = 0;
+  meteors      = [];
+  nextMeteorAt = 0;
+}
+
+// ─── Shooting stars — once per world step ────────────────────
+function updateCelestial() {
+  celT++;
+  for (let m of meteors) {
+    m.x += m.vx;
+    m.y += m.vy;
+    m.age++;
+  }
+  meteors = meteors.filter(m => m.age < m.life);
+
+  if (tod > 0.8 && celT >= nextMeteorAt && skyClarity() > 0.5 && !motionReduced()) {
+    let dir = noise(celT * 0.23, 93) < 0.5 ? -1 : 1;
+    meteors.push({
+      x:    VIEW_W * (0.1 + noise(celT * 0.17, 92) * 0.8),
+      y:    20 + noise(celT * 0.19, 94) * 90,
+      vx:   dir * 7,
+      vy:   3,
+      age:  0,
+      life: 26
+    });
+    nextMeteorAt = celT + floor(lerp(180, 720, noise(celT * 0.29, 91)));
+  }
+}
+
+// ============================================================
+//  DRAW — between the stars and the clouds
+// ============================================================
+function drawCelestial() {
+  let clarity = skyClarity();
+  let count   = 0;
+  count += drawSun(clarity);
+  count += drawConstellations(clarity);
+  count += drawMeteors(clarity);
+  count += drawSkyMoon(clarity);
+  return count;
+}
+
+// ─── Sun — high and pale, sinking orange ─────────────────────
+function drawSun(clarity) {
+  let s = tod / SUN_SET_TOD;
+  if (s > 1.3) return 0;
+  let x = VIEW_W * lerp(0.22, 0.7, s);
+  let y = SKY_HORIZON - (SKY_HORIZON - SKY_TOP) * cos(min(s, 1) * HALF_PI) + max(0, s - 1) * 60;
+  let c = lerpStops([[255, 250, 225], [255, 214, 130], [255, 140, 64]], constrain(s, 0, 1));
+  let a = clarity * 255;
+
+  noStroke();
+  for (let r = 60; r > 16; r -= 4) {
+    fill(c[0], c[1], c[2], map(r, 60, 16, 0, 36) * clarity);
+    ellipse(x, y, r * 2, r * 2);
+  }
+  fill(c[0], c[1], c[2], a);
+  ellipse(x, y, 32, 32);
+  return 1;
+}
+
+// ─── Moon — rises through dusk, lit side in tonight's phase ──
+function drawSkyMoon(clarity) {
+  if (tod < 0.45) return 0;
+  let m = map(tod, 0.45, 1, 0, 1);
+  let x = VIEW_W * lerp(0.86, 0.74, m);
+  let y = lerp(SKY_HORIZON, SKY_TOP, sin(m * HALF_PI));
+  let a = constrain(map(tod, 0.45, 0.7, 0, 255), 0, 255) * clarity;
+  let r = 13;
+  let lit = (1 - cos(moonPhase * TWO_PI)) / 2;   // fraction of the face lit
+
+  noStroke();
+  for (let gr = r * 3; gr > r; gr -= 3) {
+    fill(235, 238, 255, map(gr, r * 3, r, 0, 26) * lit * a / 255);
+    ellipse(x, y, gr * 2, gr * 2);
+  }
+  // The dark side only hints at itself, so the sky shows through
+  fill(200, 210, 240, a * 0.1);
+  ellipse(x, y, r * 2, r * 2);
+  fill(250, 246, 225, a);
+  moonLitShape(x, y, r, moonPhase);
+  return 1;
+}
+
+// The lit part of a moon disc: the bright limb on one side, closed
+// by the terminator — a half-ellipse whose width follows the phase.
+// Waxing moons are lit on the right (as seen from the north).
+function moonLitShape(x, y, r, phase) {
+  let k    = cos(phase * TWO_PI);     // terminator: 1 at new, -1 at full
+  let side = phase < 0.5 ? 1 : -1;
+  beginShape();
+  for (let i = 0; i <= 16; i++) {
+    let a = -HALF_PI + PI * i / 16;
+    vertex(x + side * r * cos(a), y + r * sin(a));
+  }
+  for (let i = 16; i >= 0; i--) {
+    let a = -HALF_PI + PI * i / 16;
+    vertex(x + side * k * r * cos(a), y + r * sin(a));
+  }
+  endShape(CLOSE);
+}
+
+// ─── Constellations — fade in with the stars ─────────────────
+function drawConstellations(clarity) {
+  if (tod < 0.32) return 0;
+  let alpha = map(tod, 0.32, 0.72, 0, 255) * clarity;
+  let lineA = constrain(map(tod, 0.7, 0.9, 0, 38), 0, 38) * clarity;
+  let count = 0;
+
+  for (let c of CONSTELLATIONS) {
+    let ox = VIEW_W * c.at[0];
+    let oy = c.at[1];
+    if (lineA > 0) {
+      stroke(200, 215, 255, lineA);
+      strokeWeight(0.8);
+      for (let [i, j] of c.lines) {
+        line(ox + c.stars[i][0], oy + c.stars[i][1], ox + c.stars[j][0], oy + c.stars[j][1]);
+      }
+      noStroke();
+    }
+    c.stars.forEach(([sx, sy], i) => {
+      count++;
+      let tw = pulseAt(frameCount * 0.03 + i * 1.9);
+      fill(250, 250, 255, alpha * (0.75 + tw * 0.25));
+      ellipse(ox + sx, oy + sy, c.sz[i] + tw * 0.6);
+    });
+  }
+  return count;
+}
+
+// ─── Shooting stars — a bright head and a fading tail ────────
+function drawMeteors(clarity) {
+  for (let m of meteors) {
+    let a = sin(m.age / m.life * PI) * 230 * clarity;
+    stroke(255, 250, 235, a);
+    strokeWeight(1.4);
+    line(m.x - m.vx * 6, m.y - m.vy * 6, m.x, m.y);
+    strokeWeight(2.4);
+    point(m.x, m.y);
+  }
+  noStroke();
+  return meteors.length;
+}
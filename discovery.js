@@ -0,0 +1,205 @@
+// ============================================================
+//  DISCOVERY — remembers which symbols the visitor has found
+//  A symbol is found the first time the camera brings it well
+//  inside the canvas. Progress is saved per scene in localStorage.
+// ============================================================
+
+const FOUND_KEY     = 'passingFields.found';
+const REVEAL_MARGIN = 60;    // px a symbol must sit inside the canvas edge
+const COMPLETE_WAIT = 90;    // frames between the last find and the card
+
+// Tray of found symbols — sits left of the autoscroll button
+const TRAY_SLOT = 24;
+const TRAY_W    = TRAY_SLOT * SYMBOL_TYPES.length + 12;   // one slot per type (scene.js)
+const TRAY_H    = BTN_H;
+let   TRAY_X    = 0;
+let   TRAY_Y    = 0;
+
+let completeAt = -1;         // frameCount when the last symbol was found
+let cardShownAt = 0;         // frameCount when the completion card opened
+
+// ─── Progress ────────────────────────────────────────────────
+function updateDiscovery() {
+  for (let s of symbols) {
+    if (s.found) continue;
+    let sx = s.wx - camX;
+    if (loopMode === 'wrap' && sx < 0) sx += WORLD_W;   // next lap's copy
+    if (sx > REVEAL_MARGIN && sx < VIEW_W - REVEAL_MARGIN) {
+      s.found   = true;
+      s.foundAt = frameCount;
+      playChime(s.type);
+      saveDiscoveries();
+      announce('Found the ' + s.type + ': ' + symbols.filter(o => o.found).length +
+               ' of ' + symbols.length + ' symbols.');
+      if (allFound()) completeAt = frameCount;
+    }
+  }
+
+  // Let the last discovery breathe before the card appears. A
+  // replay opens it when the log says it opened.
+  if (completeAt >= 0 && frameCount - completeAt > COMPLETE_WAIT && !replaying) {
+    completeAt  = -1;
+    cardShownAt = frameCount;
+    gameState   = 'complete';
+    announce('You found every symbol. Press any key to keep wandering.');
+  }
+}
+
+function allFound() {
+  return symbols.length > 0 && symbols.every(s => s.found);
+}
+
+function closeCompletionCard() {
+  gameState = 'playing';
+}
+
+function resetDiscoveries() {
+  logSessionEvent('reset');
+  for (let s of symbols) s.found = false;
+  completeAt = -1;
+  saveDiscoveries();
+}
+
+// ─── Storage ─────────────────────────────────────────────────
+// Shape: { "<scene name>": ["sun", "leaf", ...] }
+// localStorage can throw (private mode, blocked storage) — progress
+// then just lasts for the session.
+function readFoundStore() {
+  try {
+    let saved = JSON.parse(localStorage.getItem(FOUND_KEY));
+    return (saved && typeof saved === 'object') ? saved : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function restoreDiscoveries() {
+  let found = readFoundStore()[sceneName] || [];
+  for (let s of symbols) s.found = found.includes(s.type);
+}
+
+function saveDiscoveries() {
+  if (replaying) return;   // someone else's visit — keep the viewer's progress
+  let saved = readFoundStore();
+  saved[sceneName] = symbols.filter(s => s.found).map(s => s.type);
+  try {
+    localStorage.setItem(FOUND_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn('Could not save discovery progress', e);
+  }
+}
+
+// ============================================================
+//  SYMBOL TRAY — four slots that fill in as symbols are found
+// ============================================================
+function layoutSymbolTray() {
+  TRAY_X = GEAR_X - TRAY_W - 8;
+  TRAY_Y = BTN_Y;
+}
+
+function drawSymbolTray() {
+  // Drop shadow
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(TRAY_X + 2, TRAY_Y + 2, TRAY_W, TRAY_H, 7);
+
+  // Night-blue face so the glyphs glow against it
+  fill(34, 26, 68, 205);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(TRAY_X, TRAY_Y, TRAY_W, TRAY_H, 7);
+  noStroke();
+
+  let cy = TRAY_Y + TRAY_H / 2;
+  for (let i = 0; i < symbols.length; i++) {
+    let s  = symbols[i];
+    let cx = TRAY_X + 6 + TRAY_SLOT * i + TRAY_SLOT / 2;
+
+    if (!s.found) {
+      // Empty slot — faint ring
+      noFill();
+      stroke(215, 200, 240, 90);
+      strokeWeight(1);
+      ellipse(cx, cy, 12, 12);
+      noStroke();
+      continue;
+    }
+
+    // Pop briefly when freshly found, then settle
+    let age = frameCount - (s.foundAt || 0);
+    let boost = (s.foundAt && age < 30 && !motionReduced()) ? sin(map(age, 0, 30, 0, PI)) * 0.25 : 0;
+
+    push();
+    translate(cx, cy);
+    scale(0.42 + boost);
+    drawSymbolShape(s.type, 0, 0, 0.6);
+    pop();
+  }
+}
+
+// ============================================================
+//  COMPLETION CARD — gentle parchment card once all are found
+// ============================================================
+function drawCompletionCard() {
+  let fade = constrain((frameCount - cardShownAt) / 45, 0, 1);
+
+  noStroke();
+  fill(18, 12, 38, 120 * fade);
+  rect(0, 0, UI_W, UI_H);
+
+  // The card grows a line's height for each line the wrapped
+  // text needs beyond one
+  let cw = min(420, UI_W - 24);
+  push();
+  textSize(12);
+  let body = wrapLines(t('complete.text'), cw - 48);
+  textSize(11);
+  let hint = wrapLines(t('complete.hint'), cw - 48);
+  pop();
+  let more = (body.length - 1) * 16 + (hint.length - 1) * 15;
+
+  let cx = UI_W / 2;
+  let cy = UI_H / 2 - 4;
+  let ch = 170 + more;
+
+  // Card drop-shadow
+  fill(0, 0, 0, 55 * fade);
+  rect(cx - cw/2 + 5, cy - ch/2 + 5, cw, ch, 16);
+
+  // Card face — warm parchment
+  fill(255, 248, 232, 242 * fade);
+  rect(cx - cw/2, cy - ch/2, cw, ch, 14);
+
+  stroke(215, 185, 145, 180 * fade);
+  strokeWeight(1.5);
+  noFill();
+  rect(cx - cw/2, cy - ch/2, cw, ch, 14);
+  noStroke();
+
+  textAlign(CENTER, CENTER);
+  textSize(17);
+  fill(72, 50, 28, 255 * fade);
+  text(t('complete.title'), cx, cy - ch/2 + 28);
+
+  // The four glyphs in discovery order
+  let gap = 52;
+  let x0  = cx - gap * (symbols.length - 1) / 2;
+  for (let i = 0; i < symbols.length; i++) {
+    let pulse = pulseAt(frameCount * 0.05 + i * HALF_PI);
+    push();
+    translate(x0 + gap * i, cy - 2 - more / 2);
+    scale(0.8);
+    drawingContext.globalAlpha = fade;
+    drawSymbolShape(symbols[i].type, 0, 0, pulse);
+    drawingContext.globalAlpha = 1;
+    pop();
+  }
+
+  textSize(12);
+  fill(105, 78, 50, 255 * fade);
+  drawLines(body, cx, cy + 38 - more / 2 + (body.length - 1) * 8, 16);
+
+  textSize(11);
+  fill(148, 115, 78, 230 * fade);
+  drawLines(hint, cx, cy + ch/2 - 18 - (hint.length - 1) * 7.5, 15);
+}
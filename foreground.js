@@ -0,0 +1,51 @@
+// ============================================================
+//  FOREGROUND — tall grass right in front of the lens
+//  Dark clumps rise from the bottom edge and frame the view.
+//  Closer than the world, they scroll faster than the camera
+//  (parallax > 1), which sells the depth of everything behind.
+//  Clumps come from noise of their slot along the layer, so they
+//  need no list, follow the world seed and never run out on the
+//  ring. They lean with the wind, still under reduced motion.
+// ============================================================
+
+const FG_PARALLAX = 1.35;   // layer px per camera px
+const FG_SLOT     = 170;    // layer px between possible clumps
+const FG_SHOW     = 0.52;   // noise above this puts a clump in a slot
+
+// Called in the layer's own space (layers.js); returns blades drawn
+function drawForeground() {
+  let left  = parallaxX(layerParallax(FG_PARALLAX));
+  let still = motionReduced();
+  let ns    = lerp(0.42, 0.03, tod);   // always darker than the ground it fronts
+  let [r, g, b] = dn(...(pal('grass') || pal('ground')), ns);
+  fill(r, g, b);
+  noStroke();
+
+  let count = 0;
+  for (let i = floor(left / FG_SLOT) - 1; i * FG_SLOT < left + VIEW_W + FG_SLOT; i++) {
+    if (noise(i * 0.61, 40) < FG_SHOW) continue;
+    let cx     = i * FG_SLOT + noise(i * 0.61, 41) * FG_SLOT * 0.6;
+    let blades = 5 + floor(noise(i * 0.61, 42) * 5);
+    let tall   = 50 + noise(i * 0.61, 43) * 70;
+    let sway   = still ? 0 : sin(frameCount * 0.02 + i * 1.3) * (2 + windPush * 5);
+    for (let k = 0; k < blades; k++) {
+      let u    = k / (blades - 1) - 0.5;                  // -0.5 … 0.5 across the clump
+      let h    = tall * (1 - abs(u) * 0.9) * (0.75 + noise(i, k, 44) * 0.5);
+      let lean = u * h * 0.7 + windPush * 10 + sway * (0.6 + abs(u));
+      drawBlade(cx + u * 36, VIEW_H + 4, h, lean, 3 + noise(i, k, 45) * 2);
+      count++;
+    }
+  }
+  return count;
+}
+
+// One blade, curving from a wide base over to its tip
+function drawBlade(x, base, h, lean, w) {
+  beginShape();
+  vertex(x - w, base);
+  vertex(x - w * 0.5 + lean * 0.3, base - h * 0.55);
+  vertex(x + lean, base - h);
+  vertex(x + w * 0.5 + lean * 0.3, base - h * 0.55);
+  vertex(x + w, base);
+  endShape(CLOSE);
+}
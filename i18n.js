@@ -0,0 +1,170 @@
+// ============================================================
+//  LANGUAGES — string tables for the text drawn on the canvas
+//  Each language is a flat table in lang/<code>.json, id → text,
+//  with {name} placeholders filled by t(). English always loads
+//  and covers anything a translation leaves out, so a partial
+//  file still works. The language comes from ?lang=, then the
+//  last choice (localStorage), then the browser's own languages,
+//  and picks on the start card (chips or L) are remembered.
+//  A table may also carry "symbol.<type>.title" / ".text" to
+//  retell the symbol cards (cards.js), and tour scripts may name
+//  their text by id ("tour.<name>.<stop>", tour.js).
+//  Screen-reader announcements and the tools (palette editor,
+//  replay bar, debug overlay) stay in English.
+// ============================================================
+
+const LANG_DIR   = 'lang/';
+const LANG_KEY   = 'passingFields.lang';
+const LANGS      = { en: 'English', fr: 'Français', vi: 'Tiếng Việt' };   // code → own name
+const LANG_CODES = Object.keys(LANGS);
+
+let langCode   = 'en';
+let langTables = {};       // code → table, once loaded
+let langReady  = false;    // English has loaded (or failed to)
+
+function initLanguage() {
+  let code = new URLSearchParams(window.location.search).get('lang');
+  if (!LANGS[code]) {
+    try {
+      code = localStorage.getItem(LANG_KEY);
+    } catch (e) {
+      code = null;
+    }
+  }
+  if (!LANGS[code]) code = browserLanguage();
+  langCode = code;
+  document.documentElement.lang = code;
+
+  loadLanguage('en', () => { langReady = true; });
+  if (code !== 'en') loadLanguage(code);
+}
+
+// First of the browser's preferred languages we have, by its
+// primary subtag ('fr-CA' → 'fr')
+function browserLanguage() {
+  let prefs = navigator.languages || [navigator.language || ''];
+  for (let p of prefs) {
+    let code = String(p).toLowerCase().split('-')[0];
+    if (LANGS[code]) return code;
+  }
+  return 'en';
+}
+
+// Tables are checked as they arrive: text values are kept, anything
+// else is dropped with a warning
+function loadLanguage(code, done = () => {}) {
+  if (langTables[code]) {
+    done();
+    return;
+  }
+  let path = LANG_DIR + code + '.json';
+  loadJSON(path,
+    (data) => {
+      if (!isObj(data)) {
+        console.warn('[lang] ' + path + ': top level must be an object');
+        done();
+        return;
+      }
+      let table = {};
+      for (let id in data) {
+        if (typeof data[id] === 'string') table[id] = data[id];
+        else console.warn('[lang] ' + path + ': ' + id + ' must be text');
+      }
+      langTables[code] = table;
+      layoutUI();   // button widths follow their labels
+      done();
+    },
+    () => {
+      console.warn('[lang] could not load ' + path);
+      done();
+    }
+  );
+}
+
+function setLanguage(code) {
+  if (!LANGS[code] || code === langCode) return;
+  langCode = code;
+  document.documentElement.lang = code;
+  loadLanguage(code);
+  layoutUI();
+  if (!replaying) {
+    try {
+      localStorage.setItem(LANG_KEY, code);
+    } catch (e) {
+      // Private browsing — the choice lasts for this visit only
+    }
+  }
+  announce('Language: ' + LANGS[code] + '.');
+}
+
+function nextLanguage(d) {
+  let i = LANG_CODES.indexOf(langCode);
+  setLanguage(LANG_CODES[(i + d + LANG_CODES.length) % LANG_CODES.length]);
+}
+
+// ─── Lookup ──────────────────────────────────────────────────
+// The current language's text for id, or null when it has none
+function langString(id) {
+  let table = langTables[langCode];
+  return table && table[id] !== undefined ? table[id] : null;
+}
+
+// True when the current language or English has an entry for id
+function hasString(id) {
+  return langString(id) !== null || (!!langTables.en && langTables.en[id] !== undefined);
+}
+
+// Text for id — the current language, else English, else the id
+// itself so a missing entry shows up on screen
+function t(id, vars = {}) {
+  let s = langString(id);
+  if (s === null) s = langTables.en && langTables.en[id] !== undefined ? langTables.en[id] : id;
+  return s.replace(/\{(\w+)\}/g, (m, name) => vars[name] !== undefined ? String(vars[name]) : m);
+}
+
+// ─── Text layout ─────────────────────────────────────────────
+// Break str into lines no wider than w at the current text size.
+// Breaks at spaces (and at '\n'); a word too long for a line
+// gets one to itself.
+function wrapLines(str, w) {
+  let lines = [];
+  for (let para of str.split('\n')) {
+    let line = '';
+    for (let word of para.split(' ')) {
+      let next = line ? line + ' ' + word : word;
+      if (line && textWidth(next) > w) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Lines spaced lead apart, the block centred on y
+function drawLines(lines, x, y, lead) {
+  let y0 = y - (lines.length - 1) * lead / 2;
+  for (let i = 0; i < lines.length; i++) text(lines[i], x, y0 + i * lead);
+}
+
+function widestLine(lines) {
+  return max(0, ...lines.map(l => textWidth(l)));
+}
+
+// ─── Start card chips ────────────────────────────────────────
+// Each language under its own name (chips in biomes.js)
+function langChipRects(cx, y) {
+  return chipRects(LANG_CODES, code => LANGS[code], cx, y);
+}
+
+function drawLangChips(cx, y) {
+  drawChips(langChipRects(cx, y), langCode);
+}
+
+function langChipAt(cx, y, mx, my) {
+  let hit = langChipRects(cx, y).find(r => inRect(mx, my, r));
+  return hit ? hit.name : null;
+}
@@ -0,0 +1,246 @@
+// ============================================================
+//  INPUT — one layer for every way of moving the camera
+//  Arrow keys, mouse drag, touch swipe, wheel / trackpad and a
+//  gamepad stick all end in moveCamera(), which keeps the usual
+//  [0, maxCamX()] clamp (or wraps, see loop.js). Drags and wheel spins leave momentum
+//  behind that eases out. Grabbing the world while autoscroll is
+//  on hands the camera back to manual control.
+//  Events only collect input; once a frame sampleInput() turns it
+//  into a frameInput that updateCamera() acts on, so a session log
+//  can feed the camera the same frames again (session.js). The
+//  pointer rides along for the particles (particles.js).
+//  Presses that land on a control never start a drag; a tap on a
+//  symbol opens its card.
+// ============================================================
+
+const FRICTION      = 0.92;    // momentum kept per frame
+const MAX_FLING     = 40;      // fastest coast, world px/frame
+const WHEEL_GAIN    = 0.06;    // wheel delta → momentum
+const PAD_DEADZONE  = 0.18;    // stick travel ignored around centre
+const PAD_BOOST     = 1.5;     // full-tilt stick vs. arrow speed
+
+let camVel      = 0;       // momentum, world px/frame
+let dragging    = false;   // pointer is panning the world
+let dragLastX   = 0;       // last pointer x, canvas px
+let pressOnUI   = false;   // current press began on a control
+let pressSym    = null;    // symbol under the press, opened if it stays a tap
+let pressTravel = 0;       // canvas px the pointer has moved this press
+
+let padAxis    = 0;        // stick after deadzone, -1..1
+let padButtons = [];       // last frame's button states, for edges
+
+// Collected between frames, handed over by sampleInput()
+let pendingPress   = false;   // a drag began
+let pendingRelease = false;   // a drag ended
+let pendingDrag    = 0;       // world px dragged
+let pendingWheel   = 0;       // momentum added by the wheel
+let pendingTravel  = null;    // world x picked on the minimap
+
+// This frame's input: { left, right, pad, press, release, dragging, drag, wheel, travel,
+// pointer }. pointer is { x, y, held } in view px, or null when off the canvas.
+const NO_INPUT = {
+  left: false, right: false, pad: 0,
+  press: false, release: false, dragging: false, drag: 0, wheel: 0, travel: null,
+  pointer: null
+};
+let frameInput = NO_INPUT;
+
+// ─── Camera ──────────────────────────────────────────────────
+// Clamped to the world, or carried round the ring when wrapping
+function moveCamera(dx) {
+  if (loopMode === 'wrap') wrapCamera(camX + dx);
+  else                     camX = constrain(camX + dx, 0, maxCamX());
+}
+
+// Any direct input stops autoscroll so the two never fight
+function takeManualControl() {
+  autoScroll = false;
+  driftVel   = 0;
+}
+
+// Direct input of any kind — a grab, the wheel, the stick, the minimap
+function wantsManualControl(inp) {
+  return inp.press || inp.wheel !== 0 || inp.pad !== 0 || inp.travel !== null;
+}
+
+// Read everything that arrived since last frame. Called once per
+// frame whether or not the camera runs.
+function sampleInput() {
+  let inp = {
+    // Arrows in a focused slider move the slider, not the camera
+    left:     !controlHasFocus() && keyIsDown(LEFT_ARROW),
+    right:    !controlHasFocus() && keyIsDown(RIGHT_ARROW),
+    pad:      padAxis,
+    press:    pendingPress,
+    release:  pendingRelease,
+    dragging: dragging,
+    drag:     pendingDrag,
+    wheel:    pendingWheel,
+    travel:   pendingTravel,
+    pointer:  samplePointer()
+  };
+  pendingPress   = false;
+  pendingRelease = false;
+  pendingDrag    = 0;
+  pendingWheel   = 0;
+  pendingTravel  = null;
+  return inp;
+}
+
+// Where the pointer is on the view, rounded so a session log holds
+// it exactly. A press that a control took (pressOnUI) is the
+// control's, so the pointer counts as away until it's let go.
+function samplePointer() {
+  if (pressOnUI || mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return null;
+  return {
+    x:    round(mouseX / viewScale * 100) / 100,
+    y:    round((mouseY - viewOffY) / viewScale * 100) / 100,
+    held: mouseIsPressed
+  };
+}
+
+// Called from updateCamera() whenever autoscroll is off
+function updateManualInput(inp) {
+  let dx = 0;
+  if (inp.left)  dx -= settings.arrowSpeed;
+  if (inp.right) dx += settings.arrowSpeed;
+  dx += inp.pad * settings.arrowSpeed * PAD_BOOST;
+
+  if (inp.press) camVel = 0;
+  if (inp.wheel !== 0) camVel = constrain(camVel + inp.wheel, -MAX_FLING, MAX_FLING);
+
+  if (inp.dragging || inp.release) {
+    // The pointer moves the camera directly; sample its speed so
+    // letting go keeps it coasting
+    dx    += inp.drag;
+    camVel = lerp(camVel, inp.drag, 0.5);
+  } else if (camVel !== 0) {
+    dx     += camVel;
+    camVel *= FRICTION;
+    if (abs(camVel) < 0.02) camVel = 0;
+  }
+  // Reduced motion: the world stops where it's let go
+  if (inp.release) camVel = motionReduced() ? 0 : constrain(camVel, -MAX_FLING, MAX_FLING);
+
+  moveCamera(dx);
+  // Stop coasting at either end of the world (the ring has none)
+  if (loopMode !== 'wrap' && (camX <= 0 || camX >= maxCamX())) camVel = 0;
+}
+
+// ─── Pointer (mouse + touch) ─────────────────────────────────
+// p5 listens on the whole window; only presses on the canvas
+// itself should move the world
+function fromCanvas(event) {
+  return !event || !event.target || event.target.tagName === 'CANVAS';
+}
+
+function pointerPressed(px, py) {
+  pressOnUI = uiPressed(px, py);
+  if (pressOnUI || gameState !== 'playing') return;
+
+  dragging     = true;
+  dragLastX    = px;
+  pendingPress = true;
+  pressSym     = symbolAt(px, py);
+  pressTravel  = 0;
+}
+
+function pointerDragged(px, py) {
+  if (pressOnUI) {
+    uiDragged(px, py);
+    return;
+  }
+  if (!dragging) return;
+  pendingDrag -= (px - dragLastX) / viewScale;
+  pressTravel += abs(px - dragLastX);
+  dragLastX = px;
+}
+
+function pointerReleased() {
+  if (dragging) pendingRelease = true;
+  dragging  = false;
+  pressOnUI = false;
+  settingsReleased();
+
+  // A tap on a symbol opens its card (cards.js)
+  if (pressSym && pressTravel <= TAP_SLOP) openSymbolCard(pressSym);
+  pressSym = null;
+}
+
+// Touch handlers return false so the page doesn't scroll or zoom
+// and the browser doesn't replay the touch as a mouse click
+function touchStarted(event) {
+  if (!fromCanvas(event) || touches.length === 0) return;
+  pointerPressed(touches[0].x, touches[0].y);
+  return false;
+}
+
+function touchMoved(event) {
+  if (!fromCanvas(event) || touches.length === 0) return;
+  pointerDragged(touches[0].x, touches[0].y);
+  return false;
+}
+
+function touchEnded(event) {
+  if (touches.length > 0) return;   // another finger is still down
+  pointerReleased();
+  if (fromCanvas(event)) return false;
+}
+
+// ─── Wheel / trackpad ────────────────────────────────────────
+// Horizontal swipes use deltaX; a plain wheel scrolls sideways too
+function mouseWheel(event) {
+  if (gameState !== 'playing' || settingsOpen || replaying || !fromCanvas(event)) return;
+  let d = abs(event.deltaX) > abs(event.deltaY) ? event.deltaX : event.deltaY;
+  if (event.deltaMode === 1) d *= 16;    // lines, not pixels
+  pendingWheel += d * WHEEL_GAIN;
+  return false;
+}
+
+// ─── Gamepad ─────────────────────────────────────────────────
+// First connected pad: left stick or d-pad pans (or picks the
+// biome on the start card), A (or Start)
+// begins play, closes the ending or symbol card and toggles
+// autoscroll.
+// Polled once per frame from draw().
+function pollGamepad() {
+  if (replaying) return;
+  let pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  let pad  = null;
+  for (let p of pads) {
+    if (p && p.connected) { pad = p; break; }
+  }
+  if (!pad) {
+    padAxis    = 0;
+    padButtons = [];
+    return;
+  }
+
+  let ax = pad.axes[0] || 0;
+  ax = abs(ax) < PAD_DEADZONE ? 0 : Math.sign(ax) * (abs(ax) - PAD_DEADZONE) / (1 - PAD_DEADZONE);
+  if (padDown(pad, 14)) ax = -1;
+  if (padDown(pad, 15)) ax =  1;
+  padAxis = ax;
+
+  // On the start card the d-pad chooses the biome
+  if (gameState === 'start') {
+    if (padPressed(pad, 14)) nextBiome(-1);
+    if (padPressed(pad, 15)) nextBiome(1);
+  }
+  if ((padPressed(pad, 0) || padPressed(pad, 9)) && !settingsOpen) {
+    if      (gameState === 'start')    startPlaying();
+    else if (gameState === 'complete') closeCompletionCard();
+    else if (symbolCard)               closeSymbolCard();
+    else                               autoScroll = !autoScroll;
+  }
+  padButtons = pad.buttons.map(b => b.pressed);
+}
+
+function padDown(pad, i) {
+  return !!(pad.buttons[i] && pad.buttons[i].pressed);
+}
+
+// True only on the frame the button goes down
+function padPressed(pad, i) {
+  return padDown(pad, i) && !padButtons[i];
+}
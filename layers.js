@@ -0,0 +1,96 @@
+// ============================================================
+//  LAYERS — the world's draw order in one registry
+//  Each layer registers with addLayer():
+//    name      row in the debug overlay, and its cache's name
+//    z         draw order, back to front
+//    draw      draws the layer and returns how many shapes it drew;
+//              an entry without one only updates (the weather)
+//    parallax  how fast it scrolls with the camera: 0 < p < 1 lags
+//              behind (hills), 1 is the world, > 1 runs ahead
+//              (foreground); scaled by the depth setting. null
+//              keeps it on the screen (sky, stars, rain)
+//    cache     view widths rendered past each side into a buffer
+//              (perf.js); draw then takes (pg, x0, x1)
+//    tile      drawn once per world copy when wrapping; draw
+//              takes the copy's offset
+//    update    optional, once per world step (not while paused),
+//              in z order — so the weather, at the very back,
+//              steps before anything that blows in its wind
+//    tod       optional, t → false hides the layer at that time
+//  draw() runs them all in z order. A layer can be switched off
+//  at runtime (setLayerOn, or click its row in the ` overlay) —
+//  it still updates, so the world and replays stay in step.
+// ============================================================
+
+let layers = [];   // sorted by z
+
+function addLayer(def) {
+  let layer = Object.assign({ parallax: 1, on: true }, def);
+  layers.push(layer);
+  layers.sort((a, b) => a.z - b.z);   // stable: equal z keeps the order added
+  return layer;
+}
+
+function findLayer(name) {
+  return layers.find(l => l.name === name) || null;
+}
+
+// Layers with something to draw — the debug overlay's rows
+function drawnLayers() {
+  return layers.filter(l => l.draw);
+}
+
+function setLayerOn(name, on) {
+  let l = findLayer(name);
+  if (l) l.on = on;
+}
+
+// ─── Built-in layers ─────────────────────────────────────────
+// Spaced by ten so a new layer can slot in between
+function initLayers() {
+  addLayer({ name: 'weather',   z: -10, update: updateWeather });
+  addLayer({ name: 'sky',       z: 0,   parallax: null, cache: 0, draw: drawSky });
+  addLayer({ name: 'stars',     z: 10,  parallax: null, draw: drawStars, tod: t => t >= 0.32 });
+  addLayer({ name: 'celestial', z: 20,  parallax: null, draw: drawCelestial, update: updateCelestial });
+  addLayer({ name: 'clouds',    z: 30,  parallax: 0.15, tile: true, draw: drawClouds });
+  addLayer({ name: 'far hills', z: 40,  parallax: 0.35, cache: 0.25, draw: drawFarHills });
+  addLayer({ name: 'mid hills', z: 50,  parallax: 0.62, cache: 0.25, draw: drawMidHills });
+  addLayer({ name: 'mist',      z: 60,  parallax: null, draw: drawMist });
+  addLayer({ name: 'ground',    z: 70,  cache: 0.25, draw: drawNearGround });
+  addLayer({ name: 'birds',     z: 80,  draw: drawBirds });
+  addLayer({ name: 'trees',     z: 90,  tile: true, draw: drawTrees });
+  addLayer({ name: 'wildlife',  z: 100, tile: true, draw: drawWildlife, update: updateWildlife });
+  addLayer({ name: 'flowers',   z: 110, tile: true, draw: drawFlowers });
+  addLayer({ name: 'petals',    z: 120, tile: true, draw: drawPetals, update: updateAmbient });
+  addLayer({ name: 'symbols',   z: 130, tile: true, draw: drawSymbols, update: updateSymbols });
+  addLayer({ name: 'water',     z: 140, tile: true, draw: drawPond });   // mirrors all of the above
+  addLayer({ name: 'foreground', z: 150, parallax: FG_PARALLAX, draw: drawForeground });
+  addLayer({ name: 'rain',      z: 160, parallax: null, draw: drawRain });
+}
+
+// ─── Per frame ───────────────────────────────────────────────
+function updateLayers() {
+  for (let l of layers) {
+    if (l.update) l.update();
+  }
+}
+
+// Inside draw()'s world transform (VIEW_H tall, world units)
+function drawLayers() {
+  for (let l of layers) {
+    if (!l.draw || !l.on || (l.tod && !l.tod(tod))) continue;
+    measureLayer(l.name, () => drawLayer(l));
+  }
+}
+
+function drawLayer(l) {
+  let p = l.parallax === null ? 0 : layerParallax(l.parallax);
+  if (l.cache !== undefined) return cachedLayer(l.name, p, VIEW_W * l.cache, l.draw);
+  if (l.parallax === null)   return l.draw();
+
+  push();
+  translate(-parallaxX(p), 0);
+  let count = l.tile ? eachTile(p, l.draw) : l.draw();
+  pop();
+  return count;
+}
@@ -0,0 +1,143 @@
+// ============================================================
+//  AUTOSCROLL LOOPING — what happens at the end of the world
+//  'pingpong'  — ease to a stop at either end and drift back
+//  'crossfade' — the last night frame dissolves through a dawn
+//                glow into the afternoon start
+//  'wrap'      — the world is a ring: terrain blends across the
+//                seam, layers tile, and the sky returns to
+//                afternoon over the last stretch
+//  ?loop=<mode> picks one. The drift itself eases in and out
+//  whenever autoscroll is switched on or off.
+// ============================================================
+
+const LOOP_MODES  = ['pingpong', 'crossfade', 'wrap'];
+const DRIFT_EASE  = 0.025;   // drift velocity → target, per frame
+const FADE_FRAMES = 150;     // crossfade length
+const SEAM_BLEND  = 360;     // world px blended into the start when wrapping
+const WRAP_DAWN   = 0.85;    // share of the ring spent heading into night
+
+let loopMode = 'pingpong';
+let driftVel = 0;            // current autoscroll speed, world px/frame
+let driftDir = 1;            // ping-pong heading
+let loopLaps = 0;            // whole trips round the ring ('wrap')
+
+let fadeDue   = false;       // crossfade: capture this frame, then jump
+let fadeSnap  = null;        // the captured last frame
+let fadeStart = -FADE_FRAMES;
+
+function initLoop() {
+  let mode = new URLSearchParams(window.location.search).get('loop');
+  if (LOOP_MODES.includes(mode)) loopMode = mode;
+}
+
+// ─── Drift ───────────────────────────────────────────────────
+// Runs every playing frame, so turning autoscroll off coasts to a
+// stop rather than halting dead
+function updateDrift() {
+  driftVel = lerp(driftVel, autoScroll ? settings.driftSpeed * driftDir : 0, DRIFT_EASE);
+  if (!autoScroll && abs(driftVel) < 0.005) driftVel = 0;
+  if (driftVel === 0 || fadeDue) return;
+
+  if (loopMode === 'wrap') {
+    moveCamera(driftVel);
+    return;
+  }
+
+  camX = constrain(camX + driftVel, 0, maxCamX());
+  if (loopMode === 'pingpong') {
+    // Flip the target; the ease turns the camera round gently
+    if (camX >= maxCamX()) driftDir = -1;
+    else if (camX <= 0)    driftDir =  1;
+  } else if (autoScroll && maxCamX() > 0 && camX >= maxCamX()) {
+    fadeDue = true;
+  }
+}
+
+// ─── Wrapping ────────────────────────────────────────────────
+// Keep camX inside the ring, counting laps so parallax layers
+// keep scrolling smoothly across the seam
+function wrapCamera(x) {
+  while (x >= WORLD_W) { x -= WORLD_W; loopLaps++; }
+  while (x < 0)        { x += WORLD_W; loopLaps--; }
+  camX = x;
+}
+
+// Camera position along the whole journey, laps included
+function travelX() {
+  return camX + loopLaps * WORLD_W;
+}
+
+// Left edge of the view in a layer's own space
+function parallaxX(parallax) {
+  return travelX() * parallax;
+}
+
+// Offsets (multiples of WORLD_W) of each copy of the world a layer
+// needs drawn to cover the view — just [0] unless wrapping
+function worldTiles(parallax) {
+  if (loopMode !== 'wrap') return [0];
+  let left  = parallaxX(parallax);
+  let tiles = [];
+  for (let k = floor(left / WORLD_W); k * WORLD_W < left + VIEW_W; k++) {
+    tiles.push(k * WORLD_W);
+  }
+  return tiles;
+}
+
+// Draw fn(off) once per tile, shifted into place; returns the total count
+function eachTile(parallax, fn) {
+  let count = 0;
+  for (let off of worldTiles(parallax)) {
+    push();
+    translate(off, 0);
+    count += fn(off);
+    pop();
+  }
+  return count;
+}
+
+// Layer height on the ring — the last SEAM_BLEND px ease into the
+// layer's start, so x = WORLD_W meets x = 0 without a step
+function seamY(layer, x) {
+  let u  = ((x % WORLD_W) + WORLD_W) % WORLD_W;
+  let s0 = WORLD_W - SEAM_BLEND;
+  if (u <= s0) return layerY(layer, u);
+  let t = smoothStep((u - s0) / SEAM_BLEND);
+  return lerp(layerY(layer, u), layerY(layer, u - WORLD_W), t);
+}
+
+// Ring version of computeTOD(): the usual walk into night, then
+// back through dawn to afternoon before the seam
+function wrapTOD() {
+  let p = camX / WORLD_W;
+  if (p < WRAP_DAWN) return walkTOD(p / WRAP_DAWN);
+  return lerp(1, 0, smoothStep((p - WRAP_DAWN) / (1 - WRAP_DAWN)));
+}
+
+// ─── Crossfade ───────────────────────────────────────────────
+// Called after the world is drawn, before the UI. Grabs the final
+// frame once the camera reaches the end, jumps to the start, then
+// lays the grab over the new frame as it fades through dawn.
+function drawLoopFade() {
+  if (fadeDue) {
+    fadeSnap  = get();
+    fadeStart = frameCount;
+    fadeDue   = false;
+    camX      = 0;
+  }
+
+  let t = (frameCount - fadeStart) / FADE_FRAMES;
+  if (t >= 1) {
+    fadeSnap = null;
+    return;
+  }
+
+  push();
+  tint(255, 255 * (1 - smoothStep(t)));
+  image(fadeSnap, 0, 0, width, height);
+  noTint();
+  noStroke();
+  fill(255, 178, 140, 70 * sin(PI * t));
+  rect(0, 0, width, height);
+  pop();
+}
@@ -0,0 +1,158 @@
+// ============================================================
+//  MINIMAP — the whole world in a strip along the top
+//  The sky at the current tod, the three hill layers and the
+//  pond, squeezed to fit; a bright window marks what the camera
+//  sees. Found symbols show in colour, ones still hidden faintly.
+//  A click or tap on the strip glides the camera there, easing in
+//  and out; any other input takes the camera back. The travel
+//  target goes through frameInput, so session replays retrace it.
+//  Hidden on the start screen, during replays (the replay bar
+//  takes the top), with the controls hidden, or when turned off
+//  in the settings.
+// ============================================================
+
+const MM_H        = 30;     // strip height, UI px
+const MM_SKY_Y    = 110;    // world y shown at the strip's top edge
+const MM_COLS     = 3;      // UI px per hill sample
+const MM_GLIDE    = [40, 150];   // shortest and longest glide, frames
+
+let MM_X = 8;
+let MM_Y = 8;
+let MM_W = 0;
+
+let travel = null;   // { dist, done, t, frames } while gliding
+
+// ─── Layout ──────────────────────────────────────────────────
+// Full width, short of the fullscreen button in the top-right
+function layoutMinimap() {
+  MM_W = FS_X - MM_X - 8;
+}
+
+function minimapShown() {
+  return settings.minimap && settings.showUI && gameState !== 'start' && !replaying;
+}
+
+function overMinimap(mx, my) {
+  return minimapShown() && inRect(mx, my, { x: MM_X, y: MM_Y, w: MM_W, h: MM_H });
+}
+
+// A press on the strip asks to centre the view on that world x
+// (picked up by sampleInput())
+function minimapPressed(mx, my) {
+  if (!overMinimap(mx, my)) return false;
+  if (gameState === 'playing') pendingTravel = constrain((mx - MM_X) / MM_W, 0, 1) * WORLD_W;
+  return true;
+}
+
+// ─── Travel ──────────────────────────────────────────────────
+// Called from updateCamera() after the tour; true while it moved
+// the camera. Reduced motion jumps straight there.
+function updateTravel(inp) {
+  if (inp.travel !== null) {
+    let dist = tourDistance({ at: inp.travel });
+    let n    = motionReduced() ? 1 : round(constrain(abs(dist) / 8, MM_GLIDE[0], MM_GLIDE[1]));
+    travel   = { dist: dist, done: 0, t: 0, frames: n };
+    camVel   = 0;
+  } else if (travel && (inp.press || inp.wheel !== 0 || inp.pad !== 0 || inp.left || inp.right)) {
+    travel = null;
+  }
+  if (!travel) return false;
+
+  travel.t++;
+  let want = travel.dist * smoothStep(min(travel.t / travel.frames, 1));
+  moveCamera(want - travel.done);
+  travel.done = want;
+  if (travel.t >= travel.frames) travel = null;
+  return true;
+}
+
+// ============================================================
+//  DRAW — UI space
+// ============================================================
+function drawMinimap() {
+  if (!minimapShown() || MM_W < 60) return;
+  let x = MM_X;
+  let y = MM_Y;
+  let w = MM_W;
+  let h = MM_H;
+
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(x + 2, y + 2, w, h, 7);
+
+  // Sky, top to bottom
+  let topC = rainShade(lerpStops(skyStops().topStops, tod));
+  let botC = rainShade(lerpStops(skyStops().botStops, tod));
+  strokeWeight(1);
+  for (let i = 1; i < h - 1; i++) {
+    let t = (MM_SKY_Y + (VIEW_H - MM_SKY_Y) * i / h) / VIEW_H;
+    stroke(lerp(topC[0], botC[0], t), lerp(topC[1], botC[1], t), lerp(topC[2], botC[2], t));
+    line(x + 2, y + i, x + w - 2, y + i);
+  }
+  noStroke();
+
+  // Hills far to near, as in the world
+  let ns = lerp(1, 0.06, tod);
+  minimapProfile(farPts, fogTint(dn(...pal('far'), ns), 0.85));
+  minimapProfile(midPts, fogTint(dn(...pal('mid'), ns), 0.5));
+  if (pond) {
+    fill(...lerpStops([pal('water'), pal('waterNight')], tod));
+    beginShape();
+    for (let v of pond.shape) vertex(minimapX(v.x), minimapY(pond.level));
+    for (let i = pond.shape.length - 1; i >= 0; i--) vertex(minimapX(pond.shape[i].x), minimapY(pond.shape[i].y) + 1);
+    endShape(CLOSE);
+  }
+  minimapProfile(gndPts, dn(...pal('ground'), ns));
+
+  // The camera's window; on the ring it can run over the seam
+  let span = w - 4;
+  let vx   = minimapX(((camX % WORLD_W) + WORLD_W) % WORLD_W);
+  let vw   = VIEW_W / WORLD_W * span;
+  fill(255, 255, 255, 46);
+  stroke(255, 250, 235, 220);
+  strokeWeight(1.5);
+  for (let off of [0, -span]) {
+    let l = max(vx + off, x);
+    let r = min(vx + off + vw, x + w);
+    if (r > l) rect(l, y + 1, r - l, h - 2, 4);
+  }
+  noStroke();
+
+  // Symbols — faint until found
+  for (let s of symbols) {
+    push();
+    translate(minimapX(s.wx), constrain(minimapY(s.wy), y + 8, y + h - 8));
+    scale(0.3);
+    if (!s.found) drawingContext.globalAlpha = 0.35;
+    drawSymbolShape(s.type, 0, 0, 0);
+    drawingContext.globalAlpha = 1;
+    pop();
+  }
+
+  // Frame
+  noFill();
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(x, y, w, h, 7);
+  noStroke();
+}
+
+// A terrain profile squeezed into the strip and filled to its floor
+function minimapProfile(pts, c) {
+  let every = max(1, floor(pts.length / (MM_W / MM_COLS)));
+  fill(...c);
+  beginShape();
+  vertex(MM_X + 2, MM_Y + MM_H - 2);
+  for (let i = 0; i < pts.length; i += every) vertex(minimapX(pts[i].x), minimapY(pts[i].y));
+  vertex(minimapX(pts[pts.length - 1].x), minimapY(pts[pts.length - 1].y));
+  vertex(MM_X + MM_W - 2, MM_Y + MM_H - 2);
+  endShape(CLOSE);
+}
+
+function minimapX(wx) {
+  return MM_X + 2 + wx / WORLD_W * (MM_W - 4);
+}
+
+function minimapY(wy) {
+  return MM_Y + map(wy, MM_SKY_Y, VIEW_H, 0, MM_H);
+}
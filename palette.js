@@ -0,0 +1,254 @@
+// ============================================================
+//  PALETTE EDITOR — tune a biome's colours while it runs
+//  Every sky stop and named colour the layers draw with comes
+//  from a theme: a copy of the biome's table that the editor
+//  changes in place, so the world repaints as a colour is picked.
+//  The time slider scrubs tod (switching to manual time) to see
+//  an edit from afternoon through night; each sky stop's button
+//  jumps to the tod where that stop shows unmixed.
+//  Export saves the theme as JSON. Import (or a theme file
+//  dropped on the panel) loads one back into the biome it names.
+//  Edits last for this visit only.
+//  A developer tool: C toggles it, ?palette opens it on load.
+// ============================================================
+
+const THEME_VERSION = 1;
+
+let themes       = {};     // biome name → { sky, colors } being drawn
+let paletteEl    = null;   // the panel (p5.Element)
+let paletteBiome = '';     // biome its rows were built for
+let todSlider    = null;
+let todReadout   = null;
+
+// ─── Themes ──────────────────────────────────────────────────
+function theme() {
+  if (!themes[biomeName]) themes[biomeName] = defaultTheme(biomeName);
+  return themes[biomeName];
+}
+
+// Deep copy of the biome's own colours, so edits never touch BIOMES
+function defaultTheme(name) {
+  let b   = BIOMES[name];
+  let sky = b.sky || scene.sky;
+  let colors = {};
+  for (let k in b.colors) colors[k] = b.colors[k].slice();
+  return {
+    sky: {
+      topStops: sky.topStops.map(c => c.slice()),
+      botStops: sky.botStops.map(c => c.slice())
+    },
+    colors: colors
+  };
+}
+
+// A named colour for this biome; undefined if it has none
+function pal(name) {
+  return theme().colors[name];
+}
+
+function resetTheme() {
+  delete themes[biomeName];
+  paletteBiome = '';
+  invalidateLayerCaches();
+}
+
+// ─── Export / import ─────────────────────────────────────────
+function exportTheme() {
+  let t = theme();
+  saveJSON({
+    version: THEME_VERSION,
+    biome:   biomeName,
+    sky:     t.sky,
+    colors:  t.colors
+  }, 'passing-fields-theme-' + biomeName + '.json');
+  announce('Theme saved.');
+}
+
+function importTheme(file) {
+  if (file.subtype !== 'json') return;
+  let data = file.data;
+  let errs = validateTheme(data);
+  if (errs.length > 0) {
+    for (let e of errs) console.warn('[palette] ' + file.name + ': ' + e);
+    announce('Theme not loaded.');
+    return;
+  }
+
+  // Colours the biome doesn't use are ignored; ones left out keep
+  // the biome's default
+  let t = defaultTheme(data.biome);
+  t.sky = { topStops: data.sky.topStops, botStops: data.sky.botStops };
+  for (let k in data.colors) {
+    if (t.colors[k]) t.colors[k] = data.colors[k];
+    else console.warn('[palette] ' + file.name + ': ' + data.biome + ' has no colour "' + k + '"');
+  }
+  themes[data.biome] = t;
+  setBiome(data.biome);
+  paletteBiome = '';
+  invalidateLayerCaches();
+  announce('Theme loaded for ' + biome().label + '.');
+}
+
+function validateTheme(data) {
+  if (!isObj(data)) return ['a theme must be a JSON object'];
+  let errs = [];
+  if (data.version !== THEME_VERSION) errs.push('version must be ' + THEME_VERSION);
+  if (!BIOMES[data.biome]) errs.push('biome must be one of: ' + BIOME_NAMES.join(', '));
+  if (!isObj(data.sky)) {
+    errs.push('sky must be an object with topStops and botStops');
+  } else {
+    for (let key of ['topStops', 'botStops']) {
+      let stops = data.sky[key];
+      if (!Array.isArray(stops) || stops.length < 2) {
+        errs.push('sky.' + key + ' must be an array of at least 2 colours');
+        continue;
+      }
+      stops.forEach((c, i) => {
+        if (!isColor(c)) errs.push('sky.' + key + '[' + i + '] must be [r, g, b] with values 0–255');
+      });
+    }
+  }
+  if (!isObj(data.colors)) {
+    errs.push('colors must be an object of name → [r, g, b]');
+  } else {
+    for (let k in data.colors) {
+      if (!isColor(data.colors[k])) errs.push('colors.' + k + ' must be [r, g, b] with values 0–255');
+    }
+  }
+  return errs;
+}
+
+// ============================================================
+//  PANEL — DOM, so colour pickers and file input come for free
+// ============================================================
+function initPalette() {
+  paletteEl = createDiv('');
+  paletteEl.class('palette-editor');
+  paletteEl.attribute('aria-label', 'Palette editor');
+  paletteEl.drop(importTheme);
+  paletteEl.elt.hidden = !new URLSearchParams(window.location.search).has('palette');
+}
+
+function paletteOpen() {
+  return !!paletteEl && !paletteEl.elt.hidden;
+}
+
+function togglePalette() {
+  paletteEl.elt.hidden = !paletteEl.elt.hidden;
+  paletteBiome = '';
+}
+
+// Once per frame: rebuild the rows for a new biome or theme, and
+// keep the time slider on the sky while it isn't being dragged
+function updatePaletteEditor() {
+  if (!paletteOpen() || !scene) return;
+  if (paletteBiome !== biomeName) buildPaletteRows();
+
+  if (document.activeElement !== todSlider.elt) todSlider.value(tod);
+  let text = nf(tod, 1, 2) + ' ' + todPhase(tod);
+  if (todReadout.elt.textContent !== text) todReadout.html(text);
+}
+
+function buildPaletteRows() {
+  let t = theme();
+  paletteBiome = biomeName;
+  paletteEl.html('');
+
+  let title = createDiv('Palette — ' + biome().label);
+  title.class('palette-title');
+  title.parent(paletteEl);
+
+  let row = paletteRow('Time');
+  todSlider = createSlider(0, 1, tod, 0.01);
+  todSlider.parent(row);
+  todSlider.attribute('aria-label', 'Time of day');
+  todSlider.input(() => scrubPaletteTod(todSlider.value()));
+  todReadout = createSpan('');
+  todReadout.parent(row);
+
+  stopRows('Sky top',    t.sky.topStops);
+  stopRows('Sky bottom', t.sky.botStops);
+
+  paletteHeading('Colours');
+  for (let name in t.colors) {
+    let label = colourLabel(name);
+    colourInput(paletteRow(label), t.colors[name], label);
+  }
+
+  let bar = createDiv('');
+  bar.class('palette-actions');
+  bar.parent(paletteEl);
+  let exp = createButton('Export');
+  exp.parent(bar);
+  exp.mouseClicked(exportTheme);
+  let reset = createButton('Reset');
+  reset.parent(bar);
+  reset.mouseClicked(resetTheme);
+  let imp = createFileInput(importTheme);
+  imp.parent(bar);
+  imp.attribute('accept', '.json,application/json');
+  imp.attribute('aria-label', 'Import theme');
+}
+
+// Stop i of n shows unmixed at tod i / (n - 1) — see lerpStops()
+function stopRows(heading, stops) {
+  paletteHeading(heading);
+  stops.forEach((c, i) => {
+    let at  = i / (stops.length - 1);
+    let row = paletteRow('');
+    let jump = createButton(nf(at, 1, 2) + ' ' + todPhase(at));
+    jump.parent(row);
+    jump.attribute('title', 'Show the sky at this stop');
+    jump.mouseClicked(() => scrubPaletteTod(at));
+    colourInput(row, c, heading + ' at ' + todPhase(at));
+  });
+}
+
+function paletteHeading(text) {
+  let h = createDiv(text);
+  h.class('palette-heading');
+  h.parent(paletteEl);
+}
+
+function paletteRow(label) {
+  let row = createDiv('');
+  row.class('palette-row');
+  row.parent(paletteEl);
+  if (label) {
+    let l = createSpan(label);
+    l.parent(row);
+  }
+  return row;
+}
+
+// The picker writes straight into the theme's [r, g, b]
+function colourInput(row, c, name) {
+  let pick = createColorPicker(toHex(c));
+  pick.parent(row);
+  pick.attribute('aria-label', name);
+  pick.input(() => {
+    let v = fromHex(pick.value());
+    c[0] = v[0];
+    c[1] = v[1];
+    c[2] = v[2];
+    invalidateLayerCaches();
+  });
+}
+
+// canopyLight → canopy light
+function colourLabel(name) {
+  return name.replace(/[A-Z]/g, ch => ' ' + ch.toLowerCase());
+}
+
+function scrubPaletteTod(t) {
+  setTodMode('manual');
+  manualTod = t;
+}
+
+function toHex(c) {
+  return '#' + c.map(v => hex(round(v), 2)).join('').toLowerCase();
+}
+
+function fromHex(s) {
+  return [1, 3, 5].map(i => parseInt(s.substr(i, 2), 16));
+}
@@ -0,0 +1,122 @@
+// ============================================================
+//  PARTICLE PHYSICS — petals and fireflies answer the pointer
+//  - Sweeping the cursor or a finger through the air scatters
+//    nearby particles with a gust (not with reduced motion)
+//  - At night, holding the pointer down draws fireflies in to
+//    circle it
+//  - Either push is a velocity of its own (gx, gy) that dies away,
+//    so particles drift back into their usual sine bob
+//  - Petals and fireflies bounce off groundY() instead of sinking
+//    into it, or float on the pond; fireflies near the ground
+//    light it a little
+//  The pointer comes from frameInput (input.js), so a session
+//  replay pushes the petals just as the visit did.
+// ============================================================
+
+const GUST_RADIUS  = 80;     // world px a sweeping pointer reaches
+const GUST_GAIN    = 0.22;   // share of the pointer's speed passed on
+const GUST_DAMP    = 0.94;   // push kept per step
+const GUST_MAX     = 6;      // fastest a push can carry a particle, px per step
+const POINTER_JUMP = 60;     // view px in one step: a new touch, not a sweep
+const SWARM_RADIUS = 170;    // fireflies this close come to a held pointer
+const SWARM_PULL   = 0.006;  // spring toward the pointer, per world px
+const SWARM_SPIN   = 0.09;   // sideways nudge that turns the pull into circling
+const GLOW_REACH   = 60;     // fireflies this far above the ground light it
+
+let pointerPrev = null;      // last step's pointer, view px (null when away)
+
+// Pointer in world space plus its motion since the last step,
+// or null when it shouldn't touch the particles
+function pointerForce() {
+  let p = frameInput.pointer;
+  if (!p || gameState !== 'playing' || settingsOpen || symbolCard) {
+    pointerPrev = null;
+    return null;
+  }
+
+  // Motion is measured on screen, so a camera glide isn't a sweep
+  let vx = pointerPrev ? p.x - pointerPrev[0] : 0;
+  let vy = pointerPrev ? p.y - pointerPrev[1] : 0;
+  if (abs(vx) + abs(vy) > POINTER_JUMP) vx = vy = 0;
+  pointerPrev = [p.x, p.y];
+  return { x: p.x + parallaxX(1), y: p.y, vx: vx, vy: vy, held: p.held };
+}
+
+// Add this step's gust and swarm pulls to a particle's push
+function pushParticle(p, ptr, swarm) {
+  let dx = p.wx - ptr.x;
+  if (loopMode === 'wrap') {
+    dx = ((dx % WORLD_W) + WORLD_W) % WORLD_W;
+    if (dx > WORLD_W / 2) dx -= WORLD_W;
+  }
+  let dy = p.y - ptr.y;
+  let d  = max(sqrt(dx * dx + dy * dy), 1);
+
+  // A sweep carries particles along and fans them out from its path
+  let speed = sqrt(ptr.vx * ptr.vx + ptr.vy * ptr.vy);
+  if (speed > 0.5 && d < GUST_RADIUS && !motionReduced()) {
+    let f = (1 - d / GUST_RADIUS) * GUST_GAIN;
+    p.gx += (ptr.vx + dx / d * speed * 0.5) * f;
+    p.gy += (ptr.vy + dy / d * speed * 0.5) * f;
+  }
+
+  // A held pointer is a lantern: pull in, and swing round it
+  if (swarm > 0 && ptr.held && d < SWARM_RADIUS) {
+    let f = swarm * (1 - d / SWARM_RADIUS);
+    p.gx += (-dx * SWARM_PULL - dy / d * SWARM_SPIN) * f;
+    p.gy += (-dy * SWARM_PULL + dx / d * SWARM_SPIN) * f;
+  }
+}
+
+// Spend and decay the push; petals tumble while it lasts
+function moveGust(p) {
+  let g = sqrt(p.gx * p.gx + p.gy * p.gy);
+  if (g > GUST_MAX) {
+    p.gx *= GUST_MAX / g;
+    p.gy *= GUST_MAX / g;
+  }
+  p.wx += p.gx;
+  p.y  += p.gy;
+  if (!motionReduced()) p.ang += p.gx * 0.04;
+  p.gx *= GUST_DAMP;
+  p.gy *= GUST_DAMP;
+  if (abs(p.gx) < 0.001) p.gx = 0;
+  if (abs(p.gy) < 0.001) p.gy = 0;
+}
+
+// Resting on the ground rather than passing through it; a fall
+// bounces a little and loses most of its slide. One that comes
+// down on the pond floats there instead (water.js)
+function landOnGround(p, lift) {
+  if (overWater(p.wx) && p.y >= pond.level) {
+    p.float = true;
+    p.y     = pond.level;
+    p.gy    = 0;
+    return;
+  }
+  let gy = groundY(p.wx) - lift;
+  if (p.y <= gy) return;
+  p.y = gy;
+  if (p.gy > 0) p.gy *= -0.3;
+  p.gx *= 0.8;
+}
+
+// A floating petal drifts slowly with the breeze until it reaches
+// the bank or a gust lifts it off
+function floatOnPond(p) {
+  p.wx += (p.vx + windPush * 1.4) * 0.4;
+  p.y   = pond.level;
+  if (p.gy < -0.8 || !overWater(p.wx)) p.float = false;
+}
+
+// A soft pool of light on the ground under a low firefly
+function drawFireflyGlow(p, fly, nightFactor) {
+  let gy = surfaceY(p.wx);
+  let h  = gy - p.y;
+  if (h > GLOW_REACH) return;
+  let k = 1 - max(h, 0) / GLOW_REACH;
+  fill(...fly, nightFactor * k * 38);
+  ellipse(p.wx, gy - 3, 46 * (0.6 + k * 0.4), 12);
+  fill(...fly, nightFactor * k * 26);
+  ellipse(p.wx, gy - 8, 22, 16);   // catches the grass tips
+}
@@ -0,0 +1,199 @@
+// ============================================================
+//  PERFORMANCE — cached layers, culling and a debug overlay
+//  Sky and terrain are drawn into p5.Graphics buffers and only
+//  re-rendered when tod or the weather moves past TOD_EPS or the
+//  camera scrolls out of the buffer. World-space layers cull to the camera.
+//  ` (backquote) or ?debug=1 shows FPS, frame time and per-layer
+//  draw counts; clicking a layer's row there switches it off or on.
+// ============================================================
+
+const TOD_EPS     = 0.003;          // tod change that forces a re-render
+const FRAME_HIST  = 120;            // frames kept for the overlay graph
+
+// Overlay panel, top-left; layer rows start DBG_ROWS_Y below its top
+const DBG_X      = 8;
+const DBG_Y      = 8;
+const DBG_W      = 258;
+const DBG_ROW    = 13;
+const DBG_ROWS_Y = 54;
+
+// name → { buf, w, density, x0, tod, weather, redraws }
+let layerCaches = {};
+
+// name → { ms, items } — filled by measureLayer()
+let layerStats   = {};
+let debugOverlay = false;
+let frameTimes   = [];
+let drawStartMs  = 0;
+
+function initPerf() {
+  debugOverlay = new URLSearchParams(window.location.search).get('debug') === '1';
+}
+
+// ─── Cached layers ───────────────────────────────────────────
+// Blit a layer from its buffer, re-rendering first if stale
+// (tod or the weather mix moved, or the view left the buffer).
+// Use the same name as the layer's measureLayer() row.
+// render(pg, x0, x1) draws world x0..x1 into pg and returns how
+// many shapes it drew. Returns this frame's draw count.
+// pad: world px rendered past each side of the view.
+function cachedLayer(name, parallax, pad, render) {
+  let viewX = parallaxX(parallax);
+
+  // Stills render at up to 4× density — draw straight to the canvas
+  // rather than allocate buffers that large (window is p5's global
+  // instance, so it takes the same calls as a buffer)
+  if (capturing && !recording) {
+    push();
+    translate(-viewX, 0);
+    let n = render(window, viewX, viewX + VIEW_W);
+    pop();
+    return n + 1;
+  }
+
+  // Buffers match the view size and the on-screen pixel density, so
+  // they stay crisp after a resize or on HiDPI screens
+  let w       = ceil(VIEW_W + pad * 2);
+  let density = pixelDensity() * viewScale;
+  let c       = layerCaches[name];
+  if (!c || c.w !== w || c.density !== density) {
+    if (c) c.buf.remove();
+    c = layerCaches[name] = {
+      buf: createGraphics(w, VIEW_H),
+      w: w, density: density,
+      x0: 0, tod: -1, redraws: c ? c.redraws : 0
+    };
+    c.buf.pixelDensity(density);
+  }
+
+  let stale = abs(tod - c.tod) > TOD_EPS || weatherChanged(c.weather) ||
+              viewX < c.x0 || viewX + VIEW_W > c.x0 + c.w;
+
+  let items = 1;
+  if (stale) {
+    c.x0 = floor(viewX - pad);
+    c.buf.clear();
+    c.buf.push();
+    c.buf.translate(-c.x0, 0);
+    items += render(c.buf, c.x0, c.x0 + c.w);
+    c.buf.pop();
+    c.tod     = tod;
+    c.weather = { rain: weather.rain, fog: weather.fog };
+    c.redraws++;
+  }
+
+  image(c.buf, c.x0 - viewX, 0);
+  return items;
+}
+
+// Force every cached layer to re-render next frame
+function invalidateLayerCaches() {
+  for (let name in layerCaches) layerCaches[name].tod = -1;
+}
+
+// Is world x (± margin) inside the camera window for this parallax?
+function inView(x, margin, parallax = 1) {
+  let left = parallaxX(parallax);
+  return x + margin >= left && x - margin <= left + VIEW_W;
+}
+
+// ─── Measurement ─────────────────────────────────────────────
+function beginFrameStats() {
+  drawStartMs = performance.now();
+}
+
+function endFrameStats() {
+  frameTimes.push({ frame: deltaTime, draw: performance.now() - drawStartMs });
+  if (frameTimes.length > FRAME_HIST) frameTimes.shift();
+}
+
+// Run one layer's draw, recording its time (smoothed) and shape count
+function measureLayer(name, fn) {
+  let t0    = performance.now();
+  let items = fn() || 0;
+  let st    = layerStats[name] || (layerStats[name] = { ms: 0, items: 0 });
+  st.ms     = lerp(st.ms, performance.now() - t0, 0.1);
+  st.items  = items;
+}
+
+function toggleDebugOverlay() {
+  debugOverlay = !debugOverlay;
+}
+
+// ============================================================
+//  DEBUG OVERLAY — top-left panel
+// ============================================================
+function drawDebugOverlay() {
+  if (!debugOverlay) return;
+
+  let x = DBG_X;
+  let y = DBG_Y;
+  let w = DBG_W;
+  let rows = drawnLayers();
+  let h    = DBG_ROWS_Y + 12 + rows.length * DBG_ROW;
+
+  push();
+  noStroke();
+  fill(12, 10, 26, 200);
+  rect(x, y, w, h, 6);
+
+  textFont('monospace');
+  textSize(10);
+  textAlign(LEFT, TOP);
+
+  let last  = frameTimes[frameTimes.length - 1] || { frame: 0, draw: 0 };
+  let fps   = frameRate();
+  fill(fps >= 55 ? color(150, 235, 160) : color(255, 170, 120));
+  text('FPS ' + nf(fps, 2, 1) +
+       '   frame ' + nf(last.frame, 1, 1) + 'ms' +
+       '   draw ' + nf(last.draw, 1, 2) + 'ms', x + 8, y + 6);
+
+  // Frame-time graph; the line marks the 60fps budget (16.7ms)
+  let gx = x + 8;
+  let gy = y + 22;
+  let gw = w - 16;
+  let gh = 24;
+  stroke(255, 255, 255, 60);
+  strokeWeight(1);
+  let budgetY = gy + gh - gh * (16.7 / 33.3);
+  line(gx, budgetY, gx + gw, budgetY);
+  stroke(150, 235, 160, 200);
+  noFill();
+  beginShape();
+  for (let i = 0; i < frameTimes.length; i++) {
+    let v = min(frameTimes[i].frame, 33.3) / 33.3;
+    vertex(gx + gw * i / (FRAME_HIST - 1), gy + gh - gh * v);
+  }
+  endShape();
+  noStroke();
+
+  // Per-layer rows in draw order: time, shapes drawn, cache
+  // re-renders; a layer switched off is dimmed
+  fill(225, 215, 245);
+  let ry = y + DBG_ROWS_Y;   // just under the graph
+  text('layer'.padEnd(12) + 'ms'.padStart(5) + 'draws'.padStart(9) + 'redraws'.padStart(9),
+    x + 8, ry);
+  for (let i = 0; i < rows.length; i++) {
+    let l  = rows[i];
+    let st = layerStats[l.name] || { ms: 0, items: 0 };
+    let c  = layerCaches[l.name];
+    fill(225, 215, 245, l.on ? 255 : 90);
+    text(
+      l.name.padEnd(12) +
+      (l.on ? nf(st.ms, 1, 2).padStart(5) + String(st.items).padStart(9) : '  off'.padEnd(14)) +
+      (c ? String(c.redraws).padStart(9) : '        -'),
+      x + 8, ry + DBG_ROW * (i + 1)
+    );
+  }
+  pop();
+}
+
+// A press on a layer's row toggles that layer; true when it hit one
+function debugOverlayPressed(mx, my) {
+  if (!debugOverlay || mx < DBG_X || mx > DBG_X + DBG_W) return false;
+  let i = floor((my - DBG_Y - DBG_ROWS_Y) / DBG_ROW) - 1;   // the first row is the header
+  let rows = drawnLayers();
+  if (i < 0 || i >= rows.length) return false;
+  rows[i].on = !rows[i].on;
+  return true;
+}
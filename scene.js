@@ -0,0 +1,290 @@
+// ============================================================
+//  SCENE FILES — world layout loaded from JSON
+//  scenes/<name>.json declares world width, sky colour stops,
+//  terrain layers, clouds, trees, flowers, symbols and a pond.
+//  Pick a scene with ?scene=<name> (default: scenes/default.json)
+//  A "generate" block fills missing sections from the world seed.
+// ============================================================
+
+const SCENE_DIR     = 'scenes/';
+const DEFAULT_SCENE = 'default';
+const SYMBOL_TYPES  = ['sun', 'leaf', 'star', 'moon'];
+const MIN_WORLD_W   = 800;
+
+// scene: the validated scene object once loaded (null until then)
+// sceneName: file name it came from (keys saved progress)
+// sceneErrors: human-readable problems shown on the error card
+let scene       = null;
+let sceneName   = DEFAULT_SCENE;
+let sceneErrors = [];
+
+// ─── Loading ─────────────────────────────────────────────────
+// Load + validate a scene, then hand it to onReady.
+// Network/parse failures and validation errors land in sceneErrors.
+function loadScene(name, onReady) {
+  let path = SCENE_DIR + name + '.json';
+
+  loadJSON(path,
+    (data) => {
+      if (isObj(data) && data.generate !== undefined) {
+        let genErrs = validateGenerate(data.generate);
+        if (genErrs.length > 0) {
+          reportSceneErrors(path, genErrs);
+          return;
+        }
+        data = generateScene(data, worldSeed);
+      }
+      let errs = validateScene(data);
+      if (errs.length > 0) {
+        reportSceneErrors(path, errs);
+        return;
+      }
+      scene     = data;
+      sceneName = name;
+      onReady(scene);
+    },
+    (err) => {
+      let why = (err && err.message) ? err.message : 'file missing or not valid JSON';
+      reportSceneErrors(path, ['could not load file — ' + why]);
+    }
+  );
+}
+
+function reportSceneErrors(path, errs) {
+  sceneErrors = errs.map(e => path + ': ' + e);
+  for (let e of sceneErrors) console.error('[scene] ' + e);
+}
+
+// Scene name from ?scene=<name>; only plain names, no paths
+function sceneNameFromURL() {
+  let name = new URLSearchParams(window.location.search).get('scene');
+  if (name && /^[\w-]+$/.test(name)) return name;
+  return DEFAULT_SCENE;
+}
+
+// ─── Validation ──────────────────────────────────────────────
+// Returns a list of error strings; empty means the scene is usable.
+function validateScene(s) {
+  let errs = [];
+  if (!isObj(s)) return ['top level must be an object'];
+
+  if (!isNum(s.worldWidth) || s.worldWidth < MIN_WORLD_W) {
+    errs.push('worldWidth must be a number ≥ ' + MIN_WORLD_W);
+  }
+
+  // Sky — each stop list needs at least two [r,g,b] entries
+  if (!isObj(s.sky)) {
+    errs.push('sky must be an object with topStops and botStops');
+  } else {
+    for (let key of ['topStops', 'botStops']) {
+      let stops = s.sky[key];
+      if (!Array.isArray(stops) || stops.length < 2) {
+        errs.push('sky.' + key + ' must be an array of at least 2 colours');
+        continue;
+      }
+      stops.forEach((c, i) => {
+        if (!isColor(c)) errs.push('sky.' + key + '[' + i + '] must be [r, g, b] with values 0–255');
+      });
+    }
+  }
+
+  // Terrain — far / mid / ground, each a wave formula or a point list
+  if (!isObj(s.terrain)) {
+    errs.push('terrain must be an object with far, mid and ground layers');
+  } else {
+    if (s.terrain.step !== undefined && !(isNum(s.terrain.step) && s.terrain.step > 0)) {
+      errs.push('terrain.step must be a positive number');
+    }
+    for (let key of ['far', 'mid', 'ground']) {
+      validateLayer(s.terrain[key], 'terrain.' + key, errs);
+    }
+  }
+
+  checkList(s.clouds, 'clouds', errs, (c, p) => {
+    if (!isObj(c)) return errs.push(p + ' must be an object { x, y, s }');
+    for (let k of ['x', 'y', 's']) {
+      if (!isNum(c[k])) errs.push(p + '.' + k + ' must be a number');
+    }
+  });
+
+  checkList(s.trees, 'trees', errs, (t, p) => {
+    if (!isNum(t)) errs.push(p + ' must be a world x position');
+  });
+
+  checkList(s.flowers, 'flowers', errs, (f, p) => {
+    if (!isObj(f)) return errs.push(p + ' must be an object { x, c }');
+    if (!isNum(f.x))   errs.push(p + '.x must be a number');
+    if (!isColor(f.c)) errs.push(p + '.c must be [r, g, b] with values 0–255');
+  });
+
+  // Pond — optional (null for none); x is its centre, and it must
+  // fit in the world
+  if (s.pond !== undefined && s.pond !== null) {
+    let pd = s.pond;
+    if (!isObj(pd)) {
+      errs.push('pond must be an object { x, w, depth }');
+    } else {
+      if (!isNum(pd.x)) errs.push('pond.x must be a number');
+      if (!isNum(pd.w) || pd.w < 60) errs.push('pond.w must be a number ≥ 60');
+      if (pd.depth !== undefined && !(isNum(pd.depth) && pd.depth > 0)) {
+        errs.push('pond.depth must be a positive number');
+      }
+      if (isNum(pd.x) && isNum(pd.w) && isNum(s.worldWidth) &&
+          (pd.x - pd.w / 2 < 0 || pd.x + pd.w / 2 > s.worldWidth)) {
+        errs.push('pond must lie inside the world (0 to worldWidth)');
+      }
+    }
+  }
+
+  checkList(s.symbols, 'symbols', errs, (sym, p) => {
+    if (!isObj(sym)) return errs.push(p + ' must be an object { type, wx, wy }');
+    if (!SYMBOL_TYPES.includes(sym.type)) {
+      errs.push(p + '.type must be one of: ' + SYMBOL_TYPES.join(', '));
+    }
+    if (!isNum(sym.wx)) errs.push(p + '.wx must be a number');
+    if (!isNum(sym.wy) && !isNum(sym.groundOffset)) {
+      errs.push(p + ' needs wy, or groundOffset to sit relative to the ground');
+    }
+  });
+  // One of each: the tray, the cards and the tour look symbols up by type
+  if (Array.isArray(s.symbols)) {
+    for (let type of SYMBOL_TYPES) {
+      let n = s.symbols.filter(sym => isObj(sym) && sym.type === type).length;
+      if (n !== 1) errs.push('symbols needs exactly one ' + type + ' (found ' + n + ')');
+    }
+  }
+
+  return errs;
+}
+
+// Generator options — spacings must be sensible or the layout loops forever
+function validateGenerate(g) {
+  if (!isObj(g)) return ['generate must be an object of generator options'];
+  let errs = [];
+  for (let k of ['treeSpacing', 'flowerSpacing', 'cloudSpacing']) {
+    if (g[k] !== undefined && !(isNum(g[k]) && g[k] >= 20)) {
+      errs.push('generate.' + k + ' must be a number ≥ 20');
+    }
+  }
+  return errs;
+}
+
+function validateLayer(layer, p, errs) {
+  if (!isObj(layer)) {
+    errs.push(p + ' must be an object with waves or points');
+    return;
+  }
+  if (Array.isArray(layer.points)) {
+    if (layer.points.length < 2) errs.push(p + '.points needs at least 2 [x, y] pairs');
+    let lastX = -Infinity;
+    layer.points.forEach((pt, i) => {
+      if (!Array.isArray(pt) || pt.length !== 2 || !isNum(pt[0]) || !isNum(pt[1])) {
+        errs.push(p + '.points[' + i + '] must be [x, y]');
+      } else if (pt[0] <= lastX) {
+        errs.push(p + '.points[' + i + '] x must increase left to right');
+      } else {
+        lastX = pt[0];
+      }
+    });
+  } else if (Array.isArray(layer.waves)) {
+    if (!isNum(layer.base)) errs.push(p + '.base must be a number');
+    layer.waves.forEach((w, i) => {
+      let wp = p + '.waves[' + i + ']';
+      if (!isObj(w)) return errs.push(wp + ' must be an object { freq, amp, phase }');
+      if (!isNum(w.freq)) errs.push(wp + '.freq must be a number');
+      if (!isNum(w.amp))  errs.push(wp + '.amp must be a number');
+      if (w.phase !== undefined && !isNum(w.phase)) errs.push(wp + '.phase must be a number');
+    });
+  } else {
+    errs.push(p + ' needs either waves (with base) or points');
+  }
+}
+
+function checkList(list, p, errs, each) {
+  if (!Array.isArray(list)) {
+    errs.push(p + ' must be an array');
+    return;
+  }
+  list.forEach((item, i) => each(item, p + '[' + i + ']'));
+}
+
+function isObj(v)   { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+function isNum(v)   { return typeof v === 'number' && isFinite(v); }
+function isColor(c) {
+  return Array.isArray(c) && c.length === 3 && c.every(v => isNum(v) && v >= 0 && v <= 255);
+}
+
+// ─── Terrain evaluation ──────────────────────────────────────
+// Surface Y of a terrain layer at world x.
+// Wave layers sum sines on a base line; point layers interpolate.
+function layerY(layer, x) {
+  if (Array.isArray(layer.points)) {
+    let pts = layer.points;
+    if (x <= pts[0][0]) return pts[0][1];
+    for (let i = 1; i < pts.length; i++) {
+      if (x <= pts[i][0]) {
+        let t = (x - pts[i-1][0]) / (pts[i][0] - pts[i-1][0]);
+        return lerp(pts[i-1][1], pts[i][1], t);
+      }
+    }
+    return pts[pts.length - 1][1];
+  }
+
+  let y = layer.base;
+  for (let w of layer.waves) y += sin(x * w.freq + (w.phase || 0)) * w.amp;
+  return y;
+}
+
+// Sample a layer across the world into p5 vectors
+function buildProfile(layer, step) {
+  let pts = [];
+  for (let x = 0; x <= WORLD_W; x += step) {
+    pts.push(createVector(x, layerY(layer, x)));
+  }
+  return pts;
+}
+
+// ============================================================
+//  SCENE ERROR CARD — shown instead of the world when loading fails
+// ============================================================
+function drawSceneStatus() {
+  background(28, 22, 44);
+
+  let cx = UI_W / 2;
+  let cy = UI_H / 2;
+
+  textAlign(CENTER, CENTER);
+  noStroke();
+
+  if (sceneErrors.length === 0) {
+    fill(235, 222, 200, 180);
+    textSize(13);
+    text('Loading scene…', cx, cy);
+    return;
+  }
+
+  let cw = min(620, UI_W - 24);
+  let ch = 250;
+
+  fill(255, 248, 232, 242);
+  rect(cx - cw/2, cy - ch/2, cw, ch, 14);
+
+  textSize(16);
+  fill(128, 48, 36);
+  text('This scene could not be loaded', cx, cy - ch/2 + 26);
+
+  // List the first few problems; the console has the full list
+  const MAX_SHOWN = 7;
+  textAlign(LEFT, TOP);
+  textSize(11);
+  fill(88, 62, 34);
+  let shown = sceneErrors.slice(0, MAX_SHOWN);
+  for (let i = 0; i < shown.length; i++) {
+    text('• ' + shown[i], cx - cw/2 + 24, cy - ch/2 + 54 + i * 20, cw - 48, 20);
+  }
+  if (sceneErrors.length > MAX_SHOWN) {
+    fill(148, 115, 78);
+    text('… and ' + (sceneErrors.length - MAX_SHOWN) + ' more (see the browser console)',
+      cx - cw/2 + 24, cy - ch/2 + 54 + MAX_SHOWN * 20);
+  }
+}
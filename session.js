@@ -0,0 +1,490 @@
+// ============================================================
+//  SESSIONS — record a visit, export it, replay it exactly
+//  With ?record, the visit is logged as it happens, for up to
+//  SESSION_MAX_FRAMES (an hour); without it nothing is kept. A
+//  replay starts from a freshly built world, so logging can't
+//  begin halfway through a visit. The log holds:
+//  - the seed and everything else that shaped the world
+//  - the input updateCamera() saw each frame, and the pointer
+//    whenever it moves (it pushes the particles)
+//  - changes to gameState, autoscroll, the panels, the weather,
+//    the biome, the guided tour, the time-of-day mode and the
+//    hand-set time, and the view width
+//  - a sparse trail of camX
+//  E saves the log as JSON.
+//  ?replay=<name> plays sessions/<name>.json back, as does
+//  dropping a log onto the canvas. A replay feeds the logged
+//  frames through the same updateCamera(), so the camera retraces
+//  the visit exactly. Playback can run slower or faster. A heat
+//  strip shows where along the world the visitor spent their time.
+// ============================================================
+
+const SESSION_VERSION    = 1;
+const SESSION_DIR        = 'sessions/';
+const DROPPED_KEY        = 'passingFields.droppedSession';
+const PATH_EVERY         = 15;              // frames between camX samples
+const SESSION_MAX_FRAMES = 60 * 60 * 60;    // an hour at 60 fps, then the log stops growing
+const HEAT_BINS          = 80;
+const REPLAY_SPEEDS      = [0.25, 0.5, 1, 2, 4, 8];
+
+// Replay bar (UI space) — top centre
+const RB_W = 380;
+const RB_H = 52;
+
+// State that is logged whenever it changes, and how a replay puts
+// it back. Checked at the start of every frame, in this order.
+const SESSION_WATCH = {
+  state:    { get: () => gameState,  set: v => replayGameState(v) },
+  auto:     { get: () => autoScroll, set: v => { autoScroll = v; } },
+  paused:   { get: () => settingsOpen,
+              set: v => { if (v !== settingsOpen) toggleSettings(); } },
+  card:     { get: () => symbolCard ? symbolCard.type : null,
+              set: v => replaySymbolCard(v) },
+  weather:  { get: () => weatherName, set: v => { weatherName = v; } },
+  biome:    { get: () => biomeName,   set: v => setBiome(v) },
+  tour:     { get: () => tourStatus(), set: v => replayTour(v) },
+  time:     { get: () => todMode,    set: v => setTodMode(v) },
+  manual:   { get: () => manualTod,  set: v => { manualTod = v; } },
+  view:     { get: () => VIEW_W,     set: v => { replayViewW = v; layoutView(); } },
+  settings: { get: () => Object.assign({}, settings),
+              set: v => { Object.assign(settings, v); } }
+};
+
+let sessionLog  = null;      // the live visit's log (null while replaying)
+let lastWatched = {};        // key → last logged value
+let lastPointer = null;      // last logged pointer, [x, y, held] or null
+let sessionFull = false;     // the log reached SESSION_MAX_FRAMES
+
+let replaying    = false;
+let replayLog    = null;
+let replayFrame  = 0;        // next logged frame to play
+let replayEvent  = 0;        // next entry in replayLog.events
+let replayInput  = 0;        // next entry in replayLog.inputs
+let replaySpeed  = 2;        // index into REPLAY_SPEEDS
+let replayAcc    = 0;        // fractional frames owed at slow speeds
+let replayPaused = false;
+let replayViewW  = 0;        // recorded view width, or 0 when live
+let replayHeat   = [];       // HEAT_BINS dwell shares, 0–1
+let replayDrift  = false;    // warned that the camera left the trail
+
+// ─── Start ───────────────────────────────────────────────────
+// Called from setup() with the function that loads a scene. A
+// replay sets the seed, loop mode, weather and settings first,
+// then builds the scene it was recorded in.
+function initSession(loadWorld) {
+  let name = new URLSearchParams(window.location.search).get('replay');
+  if (!name) {
+    loadWorld(sceneNameFromURL());
+    return;
+  }
+
+  if (name === 'dropped') {
+    let log = null;
+    try {
+      log = JSON.parse(sessionStorage.getItem(DROPPED_KEY));
+    } catch (e) {
+      log = null;
+    }
+    startReplay('dropped session', log, loadWorld);
+    return;
+  }
+
+  if (!/^[\w-]+$/.test(name)) {
+    reportSceneErrors('?replay=' + name, ['a session name may only use letters, digits, - and _']);
+    return;
+  }
+  let path = SESSION_DIR + name + '.json';
+  loadJSON(path,
+    (log) => startReplay(path, log, loadWorld),
+    () => reportSceneErrors(path, ['could not load session log'])
+  );
+}
+
+function startReplay(path, log, loadWorld) {
+  let errs = validateSession(log);
+  if (errs.length > 0) {
+    reportSceneErrors(path, errs);
+    return;
+  }
+
+  replaying = true;
+  replayLog = log;
+  worldSeed = log.seed;
+  loopMode  = log.loop;
+  weatherName = log.weather;
+  weatherAuto = false;
+  Object.assign(weather, WEATHER_STATES[log.weather]);
+  if (log.time !== undefined) todMode = log.time;   // the mode it opened in, unblended
+  if (log.cycle !== undefined) cycleMinutes = log.cycle;
+  Object.assign(settings, log.settings);
+  osReducedMotion = log.reducedMotion;
+  // The moon as it was that night
+  let at = new Date(log.recordedAt);
+  if (!isNaN(at.getTime())) moonPhase = lunarPhase(at);
+  replayViewW = log.viewW;
+  layoutView();
+  loadWorld(log.scene);
+}
+
+function validateSession(log) {
+  if (!isObj(log)) return ['a session log must be a JSON object'];
+  let errs = [];
+  if (log.version !== SESSION_VERSION) errs.push('version must be ' + SESSION_VERSION);
+  if (!isNum(log.seed))   errs.push('seed must be a number');
+  if (typeof log.scene !== 'string' || !/^[\w-]+$/.test(log.scene)) {
+    errs.push('scene must be a scene name');
+  }
+  if (!LOOP_MODES.includes(log.loop))    errs.push('loop must be one of: ' + LOOP_MODES.join(', '));
+  if (!WEATHER_STATES[log.weather])      errs.push('weather must be one of: ' + WEATHER_NAMES.join(', '));
+  if (log.time !== undefined && !TOD_MODES.includes(log.time)) {
+    errs.push('time must be one of: ' + TOD_MODES.join(', '));
+  }
+  if (log.cycle !== undefined && !(isNum(log.cycle) && log.cycle > 0)) errs.push('cycle must be a number of minutes');
+  if (!isObj(log.settings))              errs.push('settings must be an object');
+  if (!isNum(log.viewW) || log.viewW <= 0) errs.push('viewW must be a positive number');
+  if (!isNum(log.frames))                errs.push('frames must be a number');
+  for (let k of ['found', 'events', 'inputs', 'path']) {
+    if (!Array.isArray(log[k])) errs.push(k + ' must be an array');
+  }
+  return errs;
+}
+
+// Called at the end of buildWorld(): a live visit opens its log,
+// a replay starts from the symbols that were already found
+function beginSession() {
+  if (replaying) {
+    for (let s of symbols) s.found = replayLog.found.includes(s.type);
+    replayHeat = dwellHeat(replayLog.path);
+    return;
+  }
+  if (!new URLSearchParams(window.location.search).has('record')) return;
+
+  sessionLog = {
+    version:       SESSION_VERSION,
+    recordedAt:    new Date().toISOString(),
+    seed:          worldSeed,
+    scene:         sceneName,
+    width:         widthFromURL(),
+    loop:          loopMode,
+    weather:       weatherName,
+    time:          todMode,
+    cycle:         cycleMinutes,
+    settings:      Object.assign({}, settings),
+    reducedMotion: osReducedMotion,
+    viewW:         VIEW_W,
+    found:         symbols.filter(s => s.found).map(s => s.type),
+    frames:        0,
+    events:        [],   // [frame, key, value]
+    inputs:        [],   // [frame, bits, pad, drag, wheel(, travel(, pointer))] — idle frames left out
+    path:          []    // camX every PATH_EVERY frames, -1 when not playing
+  };
+  lastWatched = {};
+  lastPointer = null;
+  sessionFull = false;
+}
+
+// ─── Each frame ──────────────────────────────────────────────
+// Runs just before stepWorld(): sets frameInput, and logs it
+// (live) or reads it from the log (replay)
+function nextSessionFrame() {
+  if (replaying) {
+    playSessionFrame();
+    return;
+  }
+  frameInput = sampleInput();
+  if (!sessionLog || recording || sessionFull) return;
+
+  let f = sessionLog.frames;
+  if (f >= SESSION_MAX_FRAMES) {
+    sessionFull = true;
+    console.warn('[session] log is full at ' + f + ' frames — press E to save it; the rest of the visit is not logged');
+    return;
+  }
+  for (let key in SESSION_WATCH) {
+    let v = SESSION_WATCH[key].get();
+    if (!(key in lastWatched) || !sameValue(v, lastWatched[key])) {
+      lastWatched[key] = v;
+      sessionLog.events.push([f, key, v]);
+    }
+  }
+
+  // The pointer is logged as [x, y, held] (or null, away) only on
+  // frames where it changed; a replay holds it until the next one
+  let inp   = frameInput;
+  let ptr   = inp.pointer ? [inp.pointer.x, inp.pointer.y, inp.pointer.held ? 1 : 0] : null;
+  let moved = !sameValue(ptr, lastPointer);
+  let bits  = (inp.left ? 1 : 0) | (inp.right ? 2 : 0) | (inp.press ? 4 : 0) |
+              (inp.release ? 8 : 0) | (inp.dragging ? 16 : 0);
+  if (bits || inp.pad || inp.drag || inp.wheel || inp.travel !== null || moved) {
+    let e = [f, bits, inp.pad, inp.drag, inp.wheel];
+    if (inp.travel !== null || moved) e.push(inp.travel);
+    if (moved) {
+      e.push(ptr);
+      lastPointer = ptr;
+    }
+    sessionLog.inputs.push(e);
+  }
+
+  if (f % PATH_EVERY === 0) sessionLog.path.push(trailX());
+  sessionLog.frames++;
+}
+
+// One-off happenings the watch list can't see (a reset, the
+// recorder zeroing the drift). Belongs to the frame about to run.
+function logSessionEvent(key) {
+  if (sessionLog && !recording && !sessionFull) sessionLog.events.push([sessionLog.frames, key, true]);
+}
+
+// Watched values are plain values, or flat objects and lists
+// (settings, the pointer) compared entry by entry
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  let keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => a[k] === b[k]);
+}
+
+function trailX() {
+  return gameState === 'playing' ? round(camX * 100) / 100 : -1;
+}
+
+// E saves the visit so far
+function exportSession() {
+  if (!sessionLog) {
+    console.warn('[session] this visit is not being logged — open the page with ?record to log one');
+    announce('This visit is not being logged. Open the page with ?record to log one.');
+    return;
+  }
+  saveJSON(sessionLog, 'passing-fields-session-' + worldSeed + '-' + nf(sessionLog.frames, 6) + '.json', true);
+  announce('Session log saved.');
+}
+
+// ─── Replay ──────────────────────────────────────────────────
+function playSessionFrame() {
+  let log = replayLog;
+  let f   = replayFrame;
+
+  // The camera should be on the logged trail at every sample
+  if (f % PATH_EVERY === 0 && !replayDrift) {
+    let want = log.path[f / PATH_EVERY];
+    if (isNum(want) && abs(trailX() - want) > 0.5) {
+      replayDrift = true;
+      console.warn('[session] replay left the logged camera trail at frame ' + f);
+    }
+  }
+
+  while (replayEvent < log.events.length && log.events[replayEvent][0] <= f) {
+    let [, key, v] = log.events[replayEvent++];
+    if (SESSION_WATCH[key])  SESSION_WATCH[key].set(v);
+    else if (key === 'reset') resetDiscoveries();
+    else if (key === 'halt')  { driftVel = 0; camVel = 0; }
+  }
+
+  let pointer = frameInput.pointer;   // held from the last entry that logged it
+  frameInput = NO_INPUT;
+  let e = log.inputs[replayInput];
+  if (e && e[0] === f) {
+    if (e.length > 6) pointer = e[6] ? { x: e[6][0], y: e[6][1], held: !!e[6][2] } : null;
+    frameInput = {
+      left: !!(e[1] & 1), right: !!(e[1] & 2), press: !!(e[1] & 4),
+      release: !!(e[1] & 8), dragging: !!(e[1] & 16),
+      pad: e[2], drag: e[3], wheel: e[4], travel: e.length > 5 ? e[5] : null
+    };
+    replayInput++;
+  }
+  if (pointer) frameInput = Object.assign({}, frameInput, { pointer: pointer });
+  replayFrame++;
+}
+
+// How many logged frames to play this draw
+function replaySteps() {
+  if (replayPaused) return 0;
+  replayAcc += REPLAY_SPEEDS[replaySpeed];
+  let n = floor(replayAcc);
+  replayAcc -= n;
+  return min(n, replayLog.frames - replayFrame);
+}
+
+function replayFinished() {
+  return replayFrame >= replayLog.frames;
+}
+
+// The visitor's card closing is logged; the ending card is too,
+// so the replay never opens it on its own (see updateDiscovery)
+function replayGameState(v) {
+  if (v === 'complete' && gameState !== 'complete') {
+    cardShownAt = frameCount;
+    completeAt  = -1;
+  }
+  gameState = v;
+}
+
+function replaySymbolCard(type) {
+  let s = symbols.find(o => o.type === type);
+  if (s) openSymbolCard(s);
+  else   closeSymbolCard();
+}
+
+// Share of the trail spent with each stretch of the world at the
+// centre of the view, scaled so the busiest stretch is 1
+function dwellHeat(path) {
+  let bins = new Array(HEAT_BINS).fill(0);
+  for (let x of path) {
+    if (!isNum(x) || x < 0) continue;
+    let b = floor((x + replayViewW / 2) / WORLD_W * HEAT_BINS);
+    bins[constrain(b, 0, HEAT_BINS - 1)]++;
+  }
+  let most = max(1, ...bins);
+  return bins.map(n => n / most);
+}
+
+// Reload without ?replay, back to the visitor's own world
+function exitReplay() {
+  let params = new URLSearchParams(window.location.search);
+  params.delete('replay');
+  window.location.search = params.toString();
+}
+
+// A log dropped on the canvas is parked in sessionStorage and the
+// page reloads into it, so the world is built from its seed
+function sessionDropped(file) {
+  if (file.subtype !== 'json') return;
+  try {
+    sessionStorage.setItem(DROPPED_KEY, JSON.stringify(file.data));
+  } catch (e) {
+    console.warn('[session] could not keep the dropped log', e);
+    return;
+  }
+  window.location.search = '?replay=dropped';
+}
+
+// ─── Replay controls ─────────────────────────────────────────
+// Space pauses, - and + change speed, Esc leaves the replay.
+// M, F and ` work as usual.
+function replayKey() {
+  startSoundscape();
+  if (key === ' ')                   replayPaused = !replayPaused;
+  if (key === '-' || key === '_')    changeReplaySpeed(-1);
+  if (key === '=' || key === '+')    changeReplaySpeed(1);
+  if (keyCode === ESCAPE)            exitReplay();
+  if (key === 'm' || key === 'M')    toggleMute();
+  if (key === 'f' || key === 'F')    toggleFullscreen();
+  if (key === '`')                   toggleDebugOverlay();
+}
+
+function changeReplaySpeed(d) {
+  replaySpeed = constrain(replaySpeed + d, 0, REPLAY_SPEEDS.length - 1);
+}
+
+function replayBarRect() {
+  return { x: UI_W / 2 - RB_W / 2, y: 8, w: RB_W, h: RB_H };
+}
+
+function replayButtons(r) {
+  let y = r.y + 5;
+  return {
+    slower: { x: r.x + r.w - 108, y: y, w: 22, h: 20 },
+    faster: { x: r.x + r.w - 56,  y: y, w: 22, h: 20 },
+    pause:  { x: r.x + r.w - 30,  y: y, w: 22, h: 20 }
+  };
+}
+
+function replayPressed(mx, my) {
+  startSoundscape();
+  let b = replayButtons(replayBarRect());
+  if (inRect(mx, my, b.slower)) changeReplaySpeed(-1);
+  if (inRect(mx, my, b.faster)) changeReplaySpeed(1);
+  if (inRect(mx, my, b.pause))  replayPaused = !replayPaused;
+}
+
+function clockText(frames) {
+  let s = floor(frames / 60);
+  return floor(s / 60) + ':' + nf(s % 60, 2);
+}
+
+// ============================================================
+//  REPLAY BAR — speed, time and the dwell heat strip
+// ============================================================
+function drawReplayBar() {
+  let r = replayBarRect();
+  let b = replayButtons(r);
+
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(r.x + 2, r.y + 2, r.w, r.h, 8);
+  fill(242, 228, 208, 228);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(r.x, r.y, r.w, r.h, 8);
+  noStroke();
+
+  // ── Title and clock ─────────────────────────────────────
+  textAlign(LEFT, CENTER);
+  textSize(11);
+  fill(75, 52, 28);
+  let status = replayFinished() ? 'END' : replayPaused ? 'PAUSED' : 'REPLAY';
+  text(status + '   ' + clockText(replayFrame) + ' / ' + clockText(replayLog.frames),
+    r.x + 10, r.y + 15);
+
+  // ── Speed and pause ─────────────────────────────────────
+  for (let k of ['slower', 'faster', 'pause']) {
+    let btn = b[k];
+    fill(255, 248, 232);
+    stroke(185, 158, 122, 190);
+    rect(btn.x, btn.y, btn.w, btn.h, 5);
+  }
+  noStroke();
+  textAlign(CENTER, CENTER);
+  fill(75, 52, 28);
+  text('\u2212', b.slower.x + 11, b.slower.y + 10);
+  text('+',      b.faster.x + 11, b.faster.y + 10);
+  text(replayPaused ? '\u25B6' : '\u275A\u275A', b.pause.x + 11, b.pause.y + 10);
+  text(REPLAY_SPEEDS[replaySpeed] + '\u00D7', (b.slower.x + b.slower.w + b.faster.x) / 2, b.slower.y + 10);
+
+  // ── Heat strip — where the view was centred ─────────────
+  let sx = r.x + 10;
+  let sw = r.w - 20;
+  let sy = r.y + 30;
+  let bw = sw / HEAT_BINS;
+  for (let i = 0; i < HEAT_BINS; i++) {
+    let h = replayHeat[i] || 0;
+    fill(lerp(255, 205, h), lerp(240, 70, h), lerp(215, 40, h));
+    rect(sx + i * bw, sy, bw + 0.5, 10);
+  }
+
+  // Symbols along the world — filled once found
+  for (let s of symbols) {
+    let x = sx + sw * s.wx / WORLD_W;
+    if (s.found) {
+      fill(255, 205, 55);
+      noStroke();
+    } else {
+      noFill();
+      stroke(120, 95, 60, 160);
+    }
+    ellipse(x, sy - 3, 5, 5);
+  }
+
+  // The view right now
+  noFill();
+  stroke(34, 26, 68, 220);
+  strokeWeight(1.5);
+  let vx = sx + sw * camX / WORLD_W;
+  rect(vx, sy - 1, max(2, sw * VIEW_W / WORLD_W), 12, 2);
+
+  // ── Progress, with a tick wherever autoscroll switched ──
+  let py = r.y + 45;
+  noStroke();
+  fill(205, 178, 140, 160);
+  rect(sx, py, sw, 3, 1.5);
+  fill(88, 168, 112);
+  rect(sx, py, sw * replayFrame / max(1, replayLog.frames), 3, 1.5);
+  strokeWeight(1);
+  for (let [f, key, v] of replayLog.events) {
+    if (key !== 'auto' || f === 0) continue;
+    stroke(v ? color(60, 132, 82) : color(120, 95, 60));
+    let tx = sx + sw * f / max(1, replayLog.frames);
+    line(tx, py - 2, tx, py + 5);
+  }
+  noStroke();
+}
@@ -0,0 +1,354 @@
+// ============================================================
+//  SETTINGS — pause overlay with sliders and toggles
+//  S or the gear button (left of the autoscroll button) opens it;
+//  the world holds still while it is up. Values are saved in
+//  localStorage and read back on the next visit.
+//  Keyboard: ↑/↓ pick a row, ←/→ adjust it, Enter or Space
+//  flips a toggle or presses a button.
+// ============================================================
+
+const SETTINGS_KEY = 'passingFields.settings';
+
+// Sliders: value shown with `dec` decimals and `unit`
+const SETTING_SLIDERS = [
+  { key: 'driftSpeed', min: 0.1, max: 2,   def: SPEED,     dec: 2, unit: ' px/f' },
+  { key: 'arrowSpeed', min: 0.5, max: 6,   def: ARROW_SPD, dec: 1, unit: ' px/f' },
+  { key: 'petals',     min: 0,   max: 2,   def: 1,         dec: 1, unit: '×' },
+  { key: 'stars',      min: 0,   max: 2,   def: 1,         dec: 1, unit: '×' },
+  { key: 'parallax',   min: 0,   max: 1.5, def: 1,         dec: 1, unit: '×' }
+];
+const SETTING_TOGGLES = [
+  { key: 'showUI',       def: true },
+  { key: 'reduceMotion', def: false },
+  { key: 'minimap',      def: true }
+];
+
+// Panel geometry (UI space) — rows stack under the title. Labels
+// come from the string table (settings.<key>); the panel widens
+// past SET_W when they need it
+const SET_W     = 380;
+const SET_ROW_H = 30;
+const SET_PAD   = 26;
+const SET_SLD_W = 150;
+
+// Gear button — left of the autoscroll button (placed by layoutUI)
+const GEAR_SIZE = BTN_H;
+let   GEAR_X    = 0;
+let   GEAR_Y    = 0;
+
+let settings     = defaultSettings();
+let settingsOpen = false;
+let settingsDrag = -1;     // slider being dragged, or -1
+let settingsFocus = -1;    // keyboard row: sliders, toggles, then the two buttons
+
+function defaultSettings() {
+  let s = {};
+  for (let d of SETTING_SLIDERS) s[d.key] = d.def;
+  for (let d of SETTING_TOGGLES) s[d.key] = d.def;
+  return s;
+}
+
+// Saved values are checked against the definitions, so an old or
+// hand-edited entry can't break anything
+function initSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (e) {
+    saved = {};
+  }
+  for (let d of SETTING_SLIDERS) {
+    if (isNum(saved[d.key])) settings[d.key] = constrain(saved[d.key], d.min, d.max);
+  }
+  for (let d of SETTING_TOGGLES) {
+    if (typeof saved[d.key] === 'boolean') settings[d.key] = saved[d.key];
+  }
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Private browsing — settings last for this visit only
+  }
+}
+
+function restoreDefaultSettings() {
+  settings = defaultSettings();
+  saveSettings();
+}
+
+function toggleSettings() {
+  settingsOpen  = !settingsOpen;
+  settingsDrag  = -1;
+  settingsFocus = -1;
+}
+
+// ─── Derived values ──────────────────────────────────────────
+// Parallax depth scales how far each layer lags the camera:
+// 0 moves everything together, 1 is the original depth
+function layerParallax(p) {
+  return max(0, 1 - (1 - p) * settings.parallax);
+}
+
+function petalCount() {
+  return min(petals.length, round(PETAL_COUNT * settings.petals));
+}
+
+function starCount() {
+  return min(stars.length, round(STAR_COUNT * settings.stars));
+}
+
+// ============================================================
+//  GEAR BUTTON
+// ============================================================
+function layoutGearBtn() {
+  GEAR_X = BTN_X - GEAR_SIZE - 8;
+  GEAR_Y = BTN_Y;
+}
+
+function drawGearBtn() {
+  let cx = GEAR_X + GEAR_SIZE / 2;
+  let cy = GEAR_Y + GEAR_SIZE / 2;
+
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(GEAR_X + 2, GEAR_Y + 2, GEAR_SIZE, GEAR_SIZE, 7);
+  fill(242, 228, 208, settings.showUI ? 218 : 150);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(GEAR_X, GEAR_Y, GEAR_SIZE, GEAR_SIZE, 7);
+
+  // Eight teeth round a ring
+  stroke(75, 52, 28);
+  strokeWeight(2.2);
+  for (let i = 0; i < 8; i++) {
+    let a = i * QUARTER_PI;
+    line(cx + cos(a) * 5, cy + sin(a) * 5, cx + cos(a) * 8, cy + sin(a) * 8);
+  }
+  strokeWeight(1.6);
+  noFill();
+  ellipse(cx, cy, 10, 10);
+  noStroke();
+}
+
+function overGearBtn(mx, my) {
+  return mx >= GEAR_X && mx <= GEAR_X + GEAR_SIZE &&
+         my >= GEAR_Y && my <= GEAR_Y + GEAR_SIZE;
+}
+
+// ============================================================
+//  SETTINGS PANEL — parchment card, like the start screen
+// ============================================================
+function settingsPanelRect() {
+  let rows = SETTING_SLIDERS.length + SETTING_TOGGLES.length;
+  let h    = 70 + rows * SET_ROW_H + 52;
+  push();
+  textSize(12);
+  let labels = [...SETTING_SLIDERS, ...SETTING_TOGGLES].map(d => textWidth(t('settings.' + d.key)));
+  pop();
+  let w = max(SET_W, SET_PAD * 2 + max(...labels) + 72 + SET_SLD_W);   // 72: the value and a gap
+  return { x: UI_W / 2 - w / 2, y: UI_H / 2 - h / 2, w: w, h: h };
+}
+
+function settingRowY(panel, i) {
+  return panel.y + 70 + i * SET_ROW_H + SET_ROW_H / 2;
+}
+
+// Bottom buttons: restore defaults on the left, done on the right
+function settingsButtons(panel) {
+  let y = panel.y + panel.h - 40;
+  push();
+  textSize(11);
+  let rw = max(138, ceil(textWidth(t('settings.reset'))) + 24);
+  let dw = max(90,  ceil(textWidth(t('settings.done')))  + 24);
+  pop();
+  return {
+    reset: { x: panel.x + SET_PAD,                y: y, w: rw, h: BTN_H },
+    done:  { x: panel.x + panel.w - SET_PAD - dw, y: y, w: dw, h: BTN_H }
+  };
+}
+
+function drawSettingsPanel() {
+  let p = settingsPanelRect();
+
+  // Soft dark vignette behind the card
+  noStroke();
+  fill(18, 12, 38, 155);
+  rect(0, 0, UI_W, UI_H);
+
+  // Card drop-shadow, face and border accent
+  fill(0, 0, 0, 55);
+  rect(p.x + 5, p.y + 5, p.w, p.h, 16);
+  fill(255, 248, 232, 242);
+  rect(p.x, p.y, p.w, p.h, 14);
+  stroke(215, 185, 145, 180);
+  strokeWeight(1.5);
+  noFill();
+  rect(p.x, p.y, p.w, p.h, 14);
+  noStroke();
+
+  // ── Title ───────────────────────────────────────────────
+  textAlign(CENTER, CENTER);
+  textSize(17);
+  fill(72, 50, 28);
+  text(t('settings.title'), p.x + p.w / 2, p.y + 28);
+
+  stroke(205, 178, 140, 160);
+  strokeWeight(1);
+  line(p.x + 32, p.y + 50, p.x + p.w - 32, p.y + 50);
+  noStroke();
+
+  // ── Slider rows ─────────────────────────────────────────
+  let sx = p.x + p.w - SET_PAD - SET_SLD_W;
+  textSize(12);
+  for (let i = 0; i < SETTING_SLIDERS.length; i++) {
+    let d = SETTING_SLIDERS[i];
+    let y = settingRowY(p, i);
+    let v = settings[d.key];
+    let u = (v - d.min) / (d.max - d.min);
+
+    textAlign(LEFT, CENTER);
+    fill(105, 78, 50);
+    text(t('settings.' + d.key), p.x + SET_PAD, y);
+    textAlign(RIGHT, CENTER);
+    fill(148, 115, 78);
+    text(nf(v, 1, d.dec) + d.unit, sx - 12, y);
+
+    stroke(215, 192, 160);
+    strokeWeight(3);
+    line(sx, y, sx + SET_SLD_W, y);
+    stroke(88, 168, 112, 230);
+    line(sx, y, sx + SET_SLD_W * u, y);
+    noStroke();
+    fill(75, 52, 28);
+    ellipse(sx + SET_SLD_W * u, y, 10, 10);
+  }
+
+  // ── Toggle rows ─────────────────────────────────────────
+  for (let i = 0; i < SETTING_TOGGLES.length; i++) {
+    let d  = SETTING_TOGGLES[i];
+    let y  = settingRowY(p, SETTING_SLIDERS.length + i);
+    let on = settings[d.key];
+
+    textAlign(LEFT, CENTER);
+    fill(105, 78, 50);
+    text(t('settings.' + d.key), p.x + SET_PAD, y);
+
+    // Pill switch, right-aligned with the sliders
+    let tx = sx + SET_SLD_W - 34;
+    fill(on ? color(88, 168, 112) : color(215, 192, 160));
+    rect(tx, y - 9, 34, 18, 9);
+    fill(255, 248, 232);
+    ellipse(on ? tx + 25 : tx + 9, y, 13, 13);
+  }
+
+  // ── Keyboard focus ring ─────────────────────────────────
+  let rows = SETTING_SLIDERS.length + SETTING_TOGGLES.length;
+  let b    = settingsButtons(p);
+  if (settingsFocus >= 0) {
+    let r = settingsFocus < rows
+      ? { x: p.x + SET_PAD - 8, y: settingRowY(p, settingsFocus) - SET_ROW_H / 2 + 2,
+          w: p.w - SET_PAD * 2 + 16, h: SET_ROW_H - 4 }
+      : (settingsFocus === rows ? b.reset : b.done);
+    noFill();
+    stroke(75, 52, 28, 200);
+    strokeWeight(1.5);
+    rect(r.x - 3, r.y - 3, r.w + 6, r.h + 6, 9);
+    noStroke();
+  }
+
+  // ── Buttons ─────────────────────────────────────────────
+  textSize(11);
+  textAlign(CENTER, CENTER);
+  for (let [btn, label] of [[b.reset, t('settings.reset')], [b.done, t('settings.done')]]) {
+    fill(242, 228, 208);
+    stroke(185, 158, 122, 190);
+    strokeWeight(1);
+    rect(btn.x, btn.y, btn.w, btn.h, 7);
+    noStroke();
+    fill(75, 52, 28);
+    text(label, btn.x + btn.w / 2, btn.y + btn.h / 2);
+  }
+}
+
+// ─── Input ───────────────────────────────────────────────────
+// Every press goes to the panel while it is open; a press outside
+// the card closes it
+function settingsPressed(mx, my) {
+  let p = settingsPanelRect();
+  if (!inRect(mx, my, p)) {
+    toggleSettings();
+    return;
+  }
+
+  let b = settingsButtons(p);
+  if (inRect(mx, my, b.reset)) {
+    restoreDefaultSettings();
+    return;
+  }
+  if (inRect(mx, my, b.done)) {
+    toggleSettings();
+    return;
+  }
+
+  let row = floor((my - p.y - 70) / SET_ROW_H);
+  if (row >= 0 && row < SETTING_SLIDERS.length) {
+    settingsDrag = row;
+    settingsDragged(mx);
+  } else if (row >= SETTING_SLIDERS.length && row < SETTING_SLIDERS.length + SETTING_TOGGLES.length) {
+    let d = SETTING_TOGGLES[row - SETTING_SLIDERS.length];
+    settings[d.key] = !settings[d.key];
+    saveSettings();
+  }
+}
+
+function settingsDragged(mx) {
+  if (settingsDrag < 0) return;
+  let d  = SETTING_SLIDERS[settingsDrag];
+  let p  = settingsPanelRect();
+  let sx = p.x + p.w - SET_PAD - SET_SLD_W;
+  let u  = constrain((mx - sx) / SET_SLD_W, 0, 1);
+  settings[d.key] = lerp(d.min, d.max, u);
+}
+
+// Sliders save once, when let go
+function settingsReleased() {
+  if (settingsDrag >= 0) saveSettings();
+  settingsDrag = -1;
+}
+
+// Arrow keys, Enter and Space while the panel is open
+function settingsKey() {
+  let rows  = SETTING_SLIDERS.length + SETTING_TOGGLES.length;
+  let count = rows + 2;
+
+  if (keyCode === DOWN_ARROW) settingsFocus = (settingsFocus + 1) % count;
+  if (keyCode === UP_ARROW)   settingsFocus = (settingsFocus + count - 1) % count;
+  if (settingsFocus < 0) return;
+
+  let f = settingsFocus;
+  if (f < SETTING_SLIDERS.length) {
+    let d   = SETTING_SLIDERS[f];
+    let dir = (keyCode === RIGHT_ARROW) - (keyCode === LEFT_ARROW);
+    if (dir === 0) return;
+    settings[d.key] = constrain(settings[d.key] + dir * (d.max - d.min) / 20, d.min, d.max);
+    saveSettings();
+    return;
+  }
+
+  if (key !== 'Enter' && key !== ' ') return;
+  if (f < rows) {
+    let d = SETTING_TOGGLES[f - SETTING_SLIDERS.length];
+    settings[d.key] = !settings[d.key];
+    saveSettings();
+  } else if (f === rows) {
+    restoreDefaultSettings();
+  } else {
+    toggleSettings();
+  }
+}
+
+function inRect(mx, my, r) {
+  return mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + r.h;
+}
@@ -1,6 +1,7 @@
 // ============================================================
 //  MEDITATIVE NATURE SCROLL — AFTERNOON TO NIGHT
-//  Canvas: 800 × 400  |  World: 2400 wide (3× canvas)
+//  View: 400 tall, fills the window  |  World: 2400 wide by default
+//  Layout comes from a scene file — see scenes/default.json
 //  Narrative: camera drifts left→right through the day.
 //  Symbols in discovery order: Sun → Leaf → Star → Moon
 //    Sun  (wx=150)  — left side of screen, full afternoon
@@ -11,28 +12,35 @@
 // ============================================================
 
 // ─── WORLD & CAMERA ─────────────────────────────────────────
-const WORLD_W  = 2400;
-const CANVAS_W = 800;
-const CANVAS_H = 400;
-const SPEED    = 0.5;     // autoscroll drift speed (px/frame)
-const ARROW_SPD = 2.2;    // manual arrow-key speed (px/frame)
+let   WORLD_W  = 2400;    // replaced by the scene's worldWidth
+const BASE_W   = 800;     // view width the world was composed for
+const VIEW_H   = 400;     // world height; the canvas scales to fit it
+const SPEED    = 0.5;     // default autoscroll drift speed (px/frame)
+const ARROW_SPD = 2.2;    // default manual arrow-key speed (px/frame)
 
 let camX = 0;
 
 // ─── TIME OF DAY ────────────────────────────────────────────
 // tod: 0 = bright afternoon, 1 = deep night
+// Its source (camera, clock, cycle, slider) lives in timeofday.js
 let tod = 0;
 
 // ─── UI STATE ────────────────────────────────────────────────
-// gameState: 'start' shows the intro card; 'playing' runs the world
+// gameState: 'start' shows the intro card; 'playing' runs the world;
+// 'complete' holds the world behind the all-symbols-found card
 let gameState  = 'start';
-let autoScroll = false;   // default control is left/right arrows
+let autoScroll = false;   // default control is manual (input.js)
 
-// Autoscroll toggle button — bottom-right corner
-const BTN_W = 152;
-const BTN_H = 24;
-const BTN_X = CANVAS_W - BTN_W - 8;
-const BTN_Y = CANVAS_H - BTN_H - 8;
+// Autoscroll toggle button — bottom-right corner (placed by layoutUI,
+// and as wide as its longer label needs)
+const BTN_MIN_W = 152;
+const BTN_H     = 24;
+let   BTN_W     = BTN_MIN_W;
+let   BTN_X     = 0;
+let   BTN_Y     = 0;
+
+// Start card width, narrower on small screens (startCardLayout)
+const START_W = 470;
 
 // ─── TERRAIN PROFILES ───────────────────────────────────────
 let farPts = [];
@@ -40,9 +48,14 @@ let midPts = [];
 let gndPts = [];
 
 // ─── FLOATING PETALS / FIREFLIES ────────────────────────────
+// The petal and star density settings draw 0–2× these counts
+const PETAL_COUNT = 55;
 let petals = [];
 
 // ─── STARS (screen-space) ───────────────────────────────────
+// Scattered over a field twice the base width; wider views see more
+const STAR_FIELD_W = BASE_W * 2;
+const STAR_COUNT   = 180;
 let stars = [];
 
 // ─── HIDDEN SYMBOLS ─────────────────────────────────────────
@@ -52,96 +65,208 @@ let symbols = [];
 //  SETUP
 // ============================================================
 function setup() {
-  createCanvas(CANVAS_W, CANVAS_H);
-
-  // Terrain from overlapping sine waves
-  for (let x = 0; x <= WORLD_W; x += 6) {
-    farPts.push(createVector(x,
-      212 + sin(x * 0.003)       * 52
-          + sin(x * 0.007 + 1.2) * 26
-    ));
-    midPts.push(createVector(x,
-      270 + sin(x * 0.0045 + 2)  * 34
-          + sin(x * 0.009 + 4.5) * 15
-    ));
-    gndPts.push(createVector(x,
-      316 + sin(x * 0.006 + 1)   * 9
-    ));
-  }
+  let cnv = createCanvas(windowWidth, windowHeight);
+  cnv.drop(sessionDropped);   // a session log dropped here is replayed
+  layoutView();
+
+  // The world is built once the scene file arrives
+  worldSeed = seedFromURL();
+  initSettings();
+  initLanguage();
+  initBiome();
+  initAccessibility();
+  initPalette();
+  initTimeOfDay();
+  initCelestial();
+  initPerf();
+  initLayers();
+  initLoop();
+  initWeather();
+  initCapture();
+  initSymbolCards();
+  initTour();
+  // A replay brings its own seed and scene (session.js)
+  initSession(name => loadScene(name, buildWorld));
+}
+
+// ============================================================
+//  BUILD WORLD — terrain, particles and symbols from the scene
+// ============================================================
+function buildWorld(sc) {
+  WORLD_W = sc.worldWidth;
+
+  // Same seed → same petals, stars and tree shapes
+  applySeed(worldSeed);
+
+  // Terrain layers — sine formulas or point lists from the scene;
+  // the ground dips where the scene has a pond (water.js)
+  let step = sc.terrain.step || 6;
+  buildPond(sc.pond);
+  farPts = buildProfile(sc.terrain.far,    step);
+  midPts = buildProfile(sc.terrain.mid,    step);
+  gndPts = buildProfile(sc.terrain.ground, step);
+  for (let p of gndPts) p.y += pondDip(p.x);
 
   // Floating petals scattered across the world
-  for (let i = 0; i < 55; i++) {
-    petals.push({
-      wx:   random(WORLD_W),
-      y:    random(80, 345),
-      sz:   random(3, 7.5),
-      vx:   random(0.18, 0.65),
-      ph:   random(TWO_PI),
-      ang:  random(TWO_PI),
-      aSpd: random(-0.025, 0.025),
-      r:    random(230, 255),
-      g:    random(148, 218),
-      b:    random(182, 234),
-      a:    random(140, 210)
-    });
-  }
+  for (let i = 0; i < PETAL_COUNT; i++) petals.push(makePetal());
 
   // Stars in screen-space (sky is infinite — no parallax)
-  for (let i = 0; i < 90; i++) {
-    stars.push({
-      x:  random(CANVAS_W),
-      y:  random(CANVAS_H * 0.62),
-      sz: random(0.8, 2.4),
-      ph: random(TWO_PI)
-    });
-  }
-
-  // Hidden symbols: Sun → Leaf → Star → Moon
-  let leafGY = 316 + sin(950 * 0.006 + 1) * 9;   // groundY(950) ≈ 320
-
-  symbols = [
-    { wx: 150,  wy: 158,         type: 'sun',  ph: 0           },
-    { wx: 950,  wy: leafGY - 14, type: 'leaf', ph: HALF_PI     },
-    { wx: 1500, wy: 188,         type: 'star', ph: PI          },
-    { wx: 2300, wy: 162,         type: 'moon', ph: PI+HALF_PI  }
-  ];
+  for (let i = 0; i < STAR_COUNT; i++) stars.push(makeStar());
+
+  // Hidden symbols — groundOffset sits a symbol relative to the ground;
+  // pulse phases are staggered a quarter-turn apart
+  symbols = sc.symbols.map((s, i) => ({
+    wx:   s.wx,
+    wy:   (s.wy !== undefined) ? s.wy : groundY(s.wx) + s.groundOffset,
+    type: s.type,
+    ph:   i * HALF_PI,
+    found: false
+  }));
+
+  // Spares for the density settings — made last so the rest of
+  // the world for a seed doesn't change
+  for (let i = 0; i < PETAL_COUNT; i++) petals.push(makePetal());
+  for (let i = 0; i < STAR_COUNT; i++)  stars.push(makeStar());
+
+  // Returning visitors keep what they already found
+  restoreDiscoveries();
+
+  // Camera bounds depend on the world width
+  layoutView();
+
+  // The hare starts from the seed; birds and shooting stars come
+  // later (wildlife.js, celestial.js)
+  resetWildlife();
+  resetCelestial();
+
+  // Start logging the visit, or set up its replay
+  beginSession();
+}
+
+function makePetal() {
+  return {
+    wx:   random(WORLD_W),
+    y:    random(80, 345),
+    sz:   random(3, 7.5),
+    vx:   random(0.18, 0.65),
+    ph:   random(TWO_PI),
+    ang:  random(TWO_PI),
+    aSpd: random(-0.025, 0.025),
+    mix:  [random(), random(), random()],   // petal → petalPale, per channel
+    a:    random(140, 210),
+    gx:   0,     // pointer push — see particles.js
+    gy:   0
+  };
+}
+
+function makeStar() {
+  return {
+    x:  random(STAR_FIELD_W),
+    y:  random(VIEW_H * 0.62),
+    sz: random(0.8, 2.4),
+    ph: random(TWO_PI)
+  };
 }
 
 // ============================================================
 //  DRAW
 // ============================================================
 function draw() {
-  // During the start screen the world is visible but frozen.
-  // tod stays 0 (afternoon) so it looks inviting.
-  if (gameState === 'playing') {
-    updateCamera();
-    tod = computeTOD();
-  } else {
-    tod = 0;
+  // Nothing to draw until the scene and the English strings have
+  // loaded (or failed to)
+  if (!scene || !langReady) {
+    push(); scale(uiScale); drawSceneStatus(); pop();
+    return;
+  }
+  beginFrameStats();
+  pollGamepad();
+  updateSymbolCursor();
+
+  // Usually one step per frame; a replay may take several or none
+  // to run faster or slower (session.js)
+  let steps = replaying ? replaySteps() : 1;
+  for (let i = 0; i < steps; i++) {
+    nextSessionFrame();
+    stepWorld();
+    if (fadeDue) break;   // the crossfade jump happens in the draw below
   }
+  updateSoundscape();
+  updateAnnouncements();
+  syncControls();
+  updatePaletteEditor();
+  drawFrame();
+  endFrameStats();
+}
 
+// Everything on the canvas for the world as it stands — draw() runs
+// it after stepping, and a still (capture.js) runs it on its own
+function drawFrame() {
   // ── Draw world layers (always rendered, even on start screen) ──
-  drawSky();
-  drawStars();
-
-  push(); translate(-camX * 0.15, 0); drawClouds();    pop();
-  push(); translate(-camX * 0.35, 0); drawFarHills();  pop();
-  push(); translate(-camX * 0.62, 0); drawMidHills();  pop();
-
+  // World units: VIEW_H tall, scaled to the canvas height. The
+  // order, parallax and caching of each layer live in layers.js
   push();
-  translate(-camX, 0);
-  drawNearGround();
-  drawTrees();
-  drawFlowers();
-  drawPetals();
-  drawSymbols();
+  translate(0, viewOffY);
+  scale(viewScale);
+  drawLayers();
   pop();
+  drawLetterbox();
+  drawLoopFade();
 
-  // ── UI overlay ────────────────────────────────────────────
-  if (gameState === 'start') {
-    drawStartScreen();
+  // ── UI overlay — its own space, anchored to the canvas edges ──
+  // Left out of stills and recordings
+  if (!capturing) {
+    push();
+    scale(uiScale);
+    if (gameState === 'start') {
+      drawStartScreen();
+    } else {
+      // The gear stays up even with controls hidden, to bring them back
+      if (settings.showUI) {
+        drawMinimap();
+        drawAutoScrollBtn();
+        drawSymbolTray();
+        drawSoundControl();
+        drawTimeControl();
+        drawFullscreenBtn();
+      }
+      drawGearBtn();
+      drawTourCaption();
+      if (gameState === 'complete') drawCompletionCard();
+      if (symbolCard) drawSymbolCard();
+      if (settingsOpen) drawSettingsPanel();
+    }
+    if (replaying) drawReplayBar();
+
+    drawDebugOverlay();
+    pop();
+  }
+}
+
+// ============================================================
+//  WORLD STEP — one frame of movement, time of day and weather
+//  During the start screen the world is visible but frozen.
+//  tod stays 0 (afternoon) so it looks inviting. The settings
+//  panel pauses everything where it is.
+// ============================================================
+function stepWorld() {
+  let paused = settingsOpen && !recording;
+  if (paused) {
+    // Hold tod and the camera
+  } else if (recording) {
+    // Scripted traverse (capture.js) moves the camera itself and
+    // always walks the sky from afternoon to night
+    tod = walkTOD(maxCamX() > 0 ? camX / maxCamX() : 0);
+  } else if (gameState === 'playing') {
+    updateCamera();
+    tod = timeOfDay();
+    updateDiscovery();
+  } else if (gameState === 'complete') {
+    tod = timeOfDay();
   } else {
-    drawAutoScrollBtn();
+    tod = 0;
+  }
+  if (!paused) {
+    updateLayers();   // weather, petals, wildlife, sky events (layers.js)
   }
 }
 
@@ -149,112 +274,358 @@ function draw() {
 //  CAMERA UPDATE — called only while playing
 // ============================================================
 function updateCamera() {
-  if (autoScroll) {
-    // Automatic drift — loops seamlessly
-    camX = (camX + SPEED) % (WORLD_W - CANVAS_W);
-  } else {
-    // Manual arrow-key control with clamped bounds
-    if (keyIsDown(LEFT_ARROW))  camX = max(0,                  camX - ARROW_SPD);
-    if (keyIsDown(RIGHT_ARROW)) camX = min(WORLD_W - CANVAS_W, camX + ARROW_SPD);
+  // Grabbing, scrolling or steering takes over from autoscroll,
+  // and arrows or any of those pause a guided tour (tour.js)
+  if (tourInterrupted(frameInput)) pauseTour();
+  if (wantsManualControl(frameInput)) takeManualControl();
+  if (tourSteering()) {
+    updateTour();
+    return;
   }
+  if (updateTravel(frameInput)) return;   // minimap glide (minimap.js)
+  // Autoscroll drift — eases in and out, loops per loopMode (loop.js)
+  updateDrift();
+  // Manual control — keys, drag, wheel and gamepad (input.js)
+  if (!autoScroll) updateManualInput(frameInput);
+}
+
+// Petals drift (and blow in the wind) — once per frame, however
+// many world copies get drawn
+function updateAmbient() {
+  let kind  = biome().particle;
+  let ptr   = pointerForce();
+  let swarm = kind === 'petal' ? constrain(map(tod, 0.6, 0.88, 0, 1), 0, 1) : 0;
+  for (let p of petals) {
+    if (ptr) pushParticle(p, ptr, swarm);
+    moveGust(p);
+    if (kind !== 'petal') {
+      p.float = false;
+      moveParticle(kind, p);
+    } else if (p.float) {
+      floatOnPond(p);
+    } else {
+      p.wx  += p.vx + windPush * 1.4;
+      if (!motionReduced()) {
+        p.y   += sin(frameCount * 0.018 + p.ph) * 0.35;
+        p.ang += p.aSpd;
+      }
+      if (p.y < 40) p.y = 40;
+      landOnGround(p, p.sz * 0.6);
+    }
+    if (p.wx > WORLD_W) p.wx = 0;
+    else if (p.wx < 0) p.wx += WORLD_W;
+  }
+}
+
+function startPlaying() {
+  gameState = 'playing';
+  startSoundscape();
 }
 
 // ============================================================
-//  MOUSE PRESSED — start screen click, button toggle
+//  MOUSE — presses and drags go through the input layer, which
+//  asks uiPressed() first and pans the world otherwise
 // ============================================================
-function mousePressed() {
+function mousePressed(event) {
+  if (!fromCanvas(event)) return;
+  pointerPressed(mouseX, mouseY);
+}
+
+function mouseDragged() {
+  pointerDragged(mouseX, mouseY);
+}
+
+function mouseReleased() {
+  pointerReleased();
+}
+
+// Start screen click, cards, controls, button toggle.
+// Returns true when the press was used here.
+// The click that leaves the start screen also starts audio.
+function uiPressed(px, py) {
+  if (!scene || capturing) return true;
+  // UI hit tests work in UI space
+  let mx = px / uiScale;
+  let my = py / uiScale;
+  if (debugOverlayPressed(mx, my)) return true;
+  if (replaying) {
+    replayPressed(mx, my);
+    return true;
+  }
   if (gameState === 'start') {
-    gameState = 'playing';
-    return;
+    let L    = startCardLayout();
+    let chip = biomeChipAt(L.cx, L.chipsY, mx, my);
+    let lang = langChipAt(L.cx, L.langY, mx, my);
+    if (chip)                            setBiome(chip);
+    else if (lang)                       setLanguage(lang);
+    else if (inRect(mx, my, L.tour))     startTour();
+    else                                 startPlaying();
+    return true;
+  }
+  if (settingsOpen) {
+    settingsPressed(mx, my);
+    return true;
+  }
+  if (symbolCard) {
+    symbolCardPressed(mx, my);
+    return true;
+  }
+  if (overGearBtn(mx, my)) {
+    toggleSettings();
+    return true;
   }
+  if (gameState === 'complete') {
+    closeCompletionCard();
+    return true;
+  }
+  if (!settings.showUI) return false;
+
+  if (minimapPressed(mx, my))      return true;
+  if (soundControlPressed(mx, my)) return true;
+  if (timeControlPressed(mx, my))  return true;
+  if (overFullscreenBtn(mx, my)) {
+    toggleFullscreen();
+    return true;
+  }
+
   // Autoscroll button hit test
-  if (mouseX >= BTN_X && mouseX <= BTN_X + BTN_W &&
-      mouseY >= BTN_Y && mouseY <= BTN_Y + BTN_H) {
+  if (mx >= BTN_X && mx <= BTN_X + BTN_W &&
+      my >= BTN_Y && my <= BTN_Y + BTN_H) {
     autoScroll = !autoScroll;
+    return true;
   }
+  return false;
+}
+
+// Volume and time-of-day sliders, for a press that began on a control
+function uiDragged(px, py) {
+  if (replaying) return;
+  let mx = px / uiScale;
+  let my = py / uiScale;
+  if (settingsOpen) {
+    settingsDragged(mx);
+    return;
+  }
+  if (gameState !== 'playing') return;
+  if (overSoundSlider(mx, my)) soundSliderDragged(mx);
+  if (overTimeSlider(mx, my))  timeSliderDragged(mx);
 }
 
 // ============================================================
-//  KEY PRESSED — any key dismisses the start screen
+//  KEY PRESSED — any key dismisses the start screen (and starts audio);
+//  on it, ← and → choose the biome and L the language
+//  R resets discovered symbols, M mutes, T switches time mode,
+//  [ and ] scrub the sky by hand, W changes the weather,
+//  ` shows the debug overlay, F toggles fullscreen,
+//  P saves a still and V records the traverse (Esc cancels),
+//  S opens the settings panel, A toggles autoscroll,
+//  E exports the session log, C opens the palette editor,
+//  Esc closes an open symbol card.
+//  A replay takes its own keys (session.js)
 // ============================================================
-function keyPressed() {
+function keyPressed(event) {
+  if (!scene || keyForControl(event)) return;
+  if (replaying) {
+    replayKey();
+    return;
+  }
+  if (recording) {
+    if (keyCode === ESCAPE) cancelRecording();
+    return;
+  }
+  if (settingsOpen) {
+    if (key === 's' || key === 'S' || keyCode === ESCAPE) toggleSettings();
+    else settingsKey();
+    return;
+  }
+  if (symbolCard && keyCode === ESCAPE) {
+    closeSymbolCard();
+    return;
+  }
+  if (gameState === 'playing' && tourKey()) return;
+  if (key === 'r' || key === 'R') {
+    resetDiscoveries();
+  }
+  if (key === 'm' || key === 'M') {
+    toggleMute();
+  }
+  if (key === '`') {
+    toggleDebugOverlay();
+  }
+  if (key === 'w' || key === 'W') {
+    nextWeather();
+  }
+  if (gameState !== 'start') {
+    if (key === 'f' || key === 'F') toggleFullscreen();
+    if (key === 's' || key === 'S') toggleSettings();
+    if (key === 'p' || key === 'P') captureStill();
+    if (key === 'v' || key === 'V') recordTraverse();
+    if (key === 'e' || key === 'E') exportSession();
+    if (key === 'c' || key === 'C') togglePalette();
+  }
+  if (gameState === 'playing') {
+    if (key === 'a' || key === 'A') autoScroll = !autoScroll;
+    if (key === 't' || key === 'T') nextTodMode();
+    if (key === '[') scrubTod(-0.05);
+    if (key === ']') scrubTod( 0.05);
+  }
   if (gameState === 'start') {
-    gameState = 'playing';
+    // Arrows choose the biome, L the language, G begins the
+    // guided tour and anything else just begins
+    if      (keyCode === LEFT_ARROW)  nextBiome(-1);
+    else if (keyCode === RIGHT_ARROW) nextBiome(1);
+    else if (key === 'l' || key === 'L') nextLanguage(1);
+    else if (key === 'g' || key === 'G') startTour();
+    else                              startPlaying();
+  } else if (gameState === 'complete') {
+    closeCompletionCard();
   }
 }
 
 // ============================================================
 //  START SCREEN — warm card overlay on top of frozen world
+//  Rows are measured and wrapped in the current language, and
+//  the card grows to hold them (startCardLayout)
 // ============================================================
 function drawStartScreen() {
+  let L  = startCardLayout();
+  let cx = L.cx;
+
   // Soft dark vignette behind the card
   noStroke();
   fill(18, 12, 38, 155);
-  rect(0, 0, CANVAS_W, CANVAS_H);
-
-  let cx = CANVAS_W  / 2;
-  let cy = CANVAS_H / 2 - 4;
-  let cw = 470;
-  let ch = 205;
+  rect(0, 0, UI_W, UI_H);
 
   // Card drop-shadow
   fill(0, 0, 0, 55);
-  rect(cx - cw/2 + 5, cy - ch/2 + 5, cw, ch, 16);
+  rect(L.x + 5, L.y + 5, L.w, L.h, 16);
 
   // Card face — warm parchment
   fill(255, 248, 232, 242);
-  rect(cx - cw/2, cy - ch/2, cw, ch, 14);
+  rect(L.x, L.y, L.w, L.h, 14);
 
   // Card border accent
   stroke(215, 185, 145, 180);
   strokeWeight(1.5);
   noFill();
-  rect(cx - cw/2, cy - ch/2, cw, ch, 14);
+  rect(L.x, L.y, L.w, L.h, 14);
   noStroke();
 
   // ── Title ───────────────────────────────────────────────
   textAlign(CENTER, CENTER);
   textSize(17);
   fill(72, 50, 28);
-  text('Meditative Nature Scroll', cx, cy - ch/2 + 28);
+  drawLines(L.title.lines, cx, L.title.y, 22);
 
   // Divider
   stroke(205, 178, 140, 160);
   strokeWeight(1);
-  line(cx - cw/2 + 32, cy - ch/2 + 50, cx + cw/2 - 32, cy - ch/2 + 50);
+  line(L.x + 32, L.divY, L.x + L.w - 32, L.divY);
   noStroke();
 
-  // ── Control rows ────────────────────────────────────────
-  textSize(13);
-  let rowY1 = cy - 22;
-  let rowY2 = cy + 12;
-  let iconX  = cx - 175;
-  let descX  = cx - 132;
+  // ── Control rows — manual, autoscroll, then the guided
+  //    tour as a button of its own (tour.js) ───────────────
+  let tr = L.tour;
+  fill(242, 228, 208, 218);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(tr.x, tr.y, tr.w, tr.h, 7);
+  noStroke();
 
-  // Row 1 — Arrow keys
-  fill(60, 42, 22);
+  textSize(13);
   textAlign(LEFT, CENTER);
-  text('\u2190 \u2192', iconX, rowY1);           // ← →
-  fill(105, 78, 50);
-  text('Arrow keys  \u2014  explore at your own pace', descX, rowY1);
+  for (let row of L.rows) {
+    fill(60, 42, 22);
+    text(row.icon, L.iconX, row.y);
+    fill(105, 78, 50);
+    drawLines(row.lines, L.descX, row.y, 18);
+  }
 
-  // Row 2 — Autoscroll
-  fill(60, 42, 22);
-  text('\u21BB', iconX, rowY2);                  // ↻
-  fill(105, 78, 50);
-  text('Autoscroll  \u2014  camera drifts on its own', descX, rowY2);
+  // Where to walk (biomes.js) and in which language (i18n.js)
+  drawBiomeChips(cx, L.chipsY);
+  drawLangChips(cx, L.langY);
 
   // Sub-hint
   textSize(11);
   fill(148, 115, 78);
   textAlign(CENTER, CENTER);
-  text('Toggle autoscroll with the button in the bottom-right corner', cx, cy + ch/2 - 38);
+  drawLines(L.hint.lines, cx, L.hint.y, 15);
 
   // ── Start prompt — pulse gently ─────────────────────────
-  let pulse = (sin(frameCount * 0.07) + 1) * 0.5;
+  let pulse = pulseAt(frameCount * 0.07);
   fill(88, 62, 34, lerp(155, 245, pulse));
   textSize(12);
-  text('Click anywhere or press any key to begin', cx, cy + ch/2 - 18);
+  drawLines(L.prompt.lines, cx, L.prompt.y, 16);
+
+  // World seed — below the card so visitors can share this exact world
+  textSize(11);
+  fill(235, 222, 200, 190);
+  drawLines(wrapLines(t('start.seed', { seed: worldSeed, query: shareQuery() }), UI_W - 24),
+    cx, L.y + L.h + 22, 15);
+}
+
+// Where everything on the start card goes, worked out top-down
+// from the wrapped text, and the card centred on the screen.
+// Shared by drawStartScreen() and the hit tests in uiPressed()
+function startCardLayout() {
+  push();
+  let w     = min(START_W, UI_W - 24);
+  let inner = w - 64;
+
+  textSize(17);
+  let title = { lines: wrapLines(t('start.title'), inner) };
+
+  // Icons in a column of their own, the text beside them; the
+  // pair centred on the card at its widest line
+  textSize(13);
+  let icons = ['\u2190 \u2192', '\u21BB', '\u2726'];   // ← →  ↻  ✦
+  let iconW = max(...icons.map(s => textWidth(s))) + 16;
+  let rows  = ['start.manual', 'start.auto', 'start.tour'].map((id, i) => ({
+    icon:  icons[i],
+    lines: wrapLines(t(id), inner - iconW - 24)
+  }));
+  let textW = max(...rows.map(r => widestLine(r.lines)));
+
+  textSize(11);
+  let hint = { lines: wrapLines(t('start.hint'), inner) };
+  textSize(12);
+  let prompt = { lines: wrapLines(t('start.prompt'), inner) };
+  pop();
+
+  // Top-down from the card's top edge; each block of lines is
+  // centred in the height it takes
+  let y = 0;
+  let place = (o, lead, before, after) => {
+    y += before;
+    o.h = o.lines.length * lead;
+    o.y = y + o.h / 2;
+    y += o.h + after;
+  };
+  place(title, 22, 17, 0);
+  let divY = y + 11;
+  y = divY + 12;
+  for (let r of rows) place(r, 18, r === rows[2] ? 7 : 5, 5);   // the tour button gets a little air
+  let chipsY = y + 16 + CHIP_H / 2;
+  let langY  = chipsY + CHIP_H + 8;
+  y = langY + CHIP_H / 2 + 18;
+  place(hint, 15, 0, 5);
+  place(prompt, 16, 0, 10);
+
+  let h   = y;
+  let cx  = UI_W / 2;
+  let top = UI_H / 2 - 4 - h / 2;
+  let iconX = cx - (iconW + textW) / 2;
+  let tour  = rows[2];
+  for (let o of [title, hint, prompt, ...rows]) o.y += top;
+
+  return {
+    cx: cx, x: cx - w / 2, y: top, w: w, h: h,
+    title: title, divY: top + divY, rows: rows,
+    hint: hint, prompt: prompt,
+    iconX: iconX, descX: iconX + iconW,
+    tour: { x: iconX - 12, y: tour.y - tour.h / 2 - 4, w: iconW + textW + 24, h: tour.h + 8 },
+    chipsY: top + chipsY, langY: top + langY
+  };
 }
 
 // ============================================================
@@ -293,13 +664,21 @@ function drawAutoScrollBtn() {
   textSize(11);
   if (autoScroll) {
     fill(22, 55, 32);
-    text('\u21BB  AUTOSCROLL: ON', x + BTN_W/2, y + BTN_H/2);
+    text(t('button.auto'), x + BTN_W/2, y + BTN_H/2);
   } else {
     fill(75, 52, 28);
-    text('\u2190\u2192  ARROWS: ON', x + BTN_W/2, y + BTN_H/2);
+    text(t('button.manual'), x + BTN_W/2, y + BTN_H/2);
   }
 }
 
+// Wide enough for either label, so it doesn't jump when toggled
+function measureAutoScrollBtn() {
+  push();
+  textSize(11);
+  BTN_W = max(BTN_MIN_W, ceil(max(textWidth(t('button.auto')), textWidth(t('button.manual')))) + 24);
+  pop();
+}
+
 // ============================================================
 //  HELPERS
 // ============================================================
@@ -316,8 +695,12 @@ function smoothStep(t) {
 //   Segment B  camX 352→832 (p 0.22→0.52) tod 0.12→0.88  FAST at the Leaf
 //   Segment C  camX 832→1600 (p 0.52→1)  tod 0.88→1.0  slow tail to night
 function computeTOD() {
-  let p = camX / (WORLD_W - CANVAS_W);
+  if (loopMode === 'wrap') return wrapTOD();
+  return walkTOD((maxCamX() > 0) ? camX / maxCamX() : 0);
+}
 
+// The curve itself, for progress p from 0 to 1
+function walkTOD(p) {
   if (p < 0.22) {
     return lerp(0,    0.12, smoothStep(p / 0.22));
   } else if (p < 0.52) {
@@ -339,9 +722,10 @@ function lerpStops(stops, t) {
   ];
 }
 
-// Ground surface Y at any world X (matches gndPts formula)
+// Ground surface Y at any world X (matches gndPts), pond basin included
 function groundY(wx) {
-  return 316 + sin(wx * 0.006 + 1) * 9;
+  if (loopMode === 'wrap') return seamY(scene.terrain.ground, wx) + pondDip(wx);
+  return layerY(scene.terrain.ground, wx) + pondDip(wx);
 }
 
 // Scale an RGB colour toward black for night silhouette
@@ -351,310 +735,387 @@ function dn(r, g, b, scale) {
 
 // ============================================================
 //  SKY — afternoon → golden hour → dusk → night
+//  Rendered into a cached buffer pg; returns lines drawn
 // ============================================================
-function drawSky() {
-  noStroke();
+function drawSky(pg) {
+  let count = 0;
+  pg.noStroke();
 
-  const topStops = [
-    [185, 172, 230],   // afternoon: soft lavender-blue
-    [255, 152, 75],    // golden hr: warm orange
-    [72,  42,  138],   // dusk:      deep violet
-    [8,   12,  55]     // night:     navy
-  ];
-  const botStops = [
-    [255, 210, 178],   // afternoon: peachy cream
-    [255, 90,  30],    // golden hr: red-orange
-    [178, 68,  115],   // dusk:      magenta-rose
-    [18,  13,  62]     // night:     dark indigo
-  ];
-
-  let topC = lerpStops(topStops, tod);
-  let botC = lerpStops(botStops, tod);
+  // Stops run afternoon → golden hour → dusk → night; rain greys them
+  let topC = rainShade(lerpStops(skyStops().topStops, tod));
+  let botC = rainShade(lerpStops(skyStops().botStops, tod));
 
-  for (let y = 0; y < CANVAS_H; y++) {
-    let t = y / CANVAS_H;
-    stroke(
+  for (let y = 0; y < VIEW_H; y++) {
+    let t = y / VIEW_H;
+    pg.stroke(
       lerp(topC[0], botC[0], t),
       lerp(topC[1], botC[1], t),
       lerp(topC[2], botC[2], t)
     );
-    line(0, y, CANVAS_W, y);
+    pg.line(0, y, VIEW_W, y);
+    count++;
   }
-  noStroke();
+  pg.noStroke();
 
   // Sunset horizon glow — warm band, sine-arched so it fades in and out
   if (tod > 0.14 && tod < 0.74) {
-    let intensity = sin(map(tod, 0.14, 0.74, 0, PI));
-    let horizY    = CANVAS_H * 0.52;
-    for (let y = CANVAS_H * 0.36; y < CANVAS_H * 0.68; y++) {
-      let dy = abs(y - horizY) / (CANVAS_H * 0.16);
+    let intensity = sin(map(tod, 0.14, 0.74, 0, PI)) * skyClarity();
+    let horizY    = VIEW_H * 0.52;
+    for (let y = VIEW_H * 0.36; y < VIEW_H * 0.68; y++) {
+      let dy = abs(y - horizY) / (VIEW_H * 0.16);
       let a  = max(0, 1 - dy) * intensity * 95;
-      stroke(255, 145, 38, a);
-      line(0, y, CANVAS_W, y);
+      pg.stroke(...pal('glow'), a);
+      pg.line(0, y, VIEW_W, y);
+      count++;
     }
-    noStroke();
+    pg.noStroke();
   }
+  return count;
 }
 
 // ============================================================
 //  STARS — screen-space, twinkle in at dusk
 // ============================================================
+// Only from tod 0.32 on (the layer's tod hook)
 function drawStars() {
-  if (tod < 0.32) return;
-  let alpha = map(tod, 0.32, 0.72, 0, 255);
+  let alpha = map(tod, 0.32, 0.72, 0, 255) * skyClarity();
+  let count = 0;
+  let n     = starCount();
+  let c     = pal('starlight');
   noStroke();
-  for (let s of stars) {
-    let tw = (sin(frameCount * 0.038 + s.ph) + 1) * 0.5;
-    fill(245, 248, 255, alpha * (0.62 + tw * 0.38));
-    ellipse(s.x, s.y, s.sz + tw * 0.55);
+  // Very wide views repeat the field
+  for (let ox = 0; ox < VIEW_W; ox += STAR_FIELD_W) {
+    for (let i = 0; i < n; i++) {
+      let s = stars[i];
+      if (ox + s.x > VIEW_W) continue;
+      count++;
+      let tw = pulseAt(frameCount * 0.038 + s.ph);
+      fill(...c, alpha * (0.62 + tw * 0.38));
+      ellipse(ox + s.x, s.y, s.sz + tw * 0.55);
+    }
   }
+  return count;
 }
 
 // ============================================================
 //  CLOUDS — fade and tint toward dark wisps at night
 // ============================================================
-function drawClouds() {
+function drawClouds(off = 0) {
   let baseA = lerp(192, 28, tod);
-  let cr    = lerp(255, 48, tod);
-  let cg    = lerp(245, 42, tod);
-  let cb    = lerp(250, 88, tod);
-
-  const clouds = [
-    { x:  150, y: 65,  s: 1.2  },
-    { x:  490, y: 52,  s: 0.9  },
-    { x:  830, y: 70,  s: 1.4  },
-    { x: 1170, y: 56,  s: 1.0  },
-    { x: 1500, y: 68,  s: 1.15 },
-    { x: 1840, y: 50,  s: 0.85 },
-    { x: 2180, y: 73,  s: 1.1  },
-  ];
+  // Rain thickens and greys them
+  baseA = lerp(baseA, 235, weather.rain * 0.6);
+  let [cr, cg, cb] = rainShade(lerpStops([pal('cloud'), pal('cloudNight')], tod));
+  let blush = pal('cloudBlush');
 
+  let count = 0;
   noStroke();
-  for (let c of clouds) {
+  for (let c of scene.clouds) {
+    let x = cloudX(c);   // carried along by the wind
+    if (!inView(x + off, 90 * c.s, 0.15)) continue;
+    count++;
     fill(cr, cg, cb, baseA);
-    ellipse(c.x,           c.y,           80*c.s, 38*c.s);
-    ellipse(c.x - 34*c.s,  c.y + 10*c.s,  56*c.s, 30*c.s);
-    ellipse(c.x + 38*c.s,  c.y +  8*c.s,  60*c.s, 28*c.s);
-    let blushA = max(0, lerp(52, -10, tod));
-    fill(255, 220, 235, blushA);
-    ellipse(c.x, c.y - 5, 60*c.s, 22*c.s);
+    ellipse(x,           c.y,           80*c.s, 38*c.s);
+    ellipse(x - 34*c.s,  c.y + 10*c.s,  56*c.s, 30*c.s);
+    ellipse(x + 38*c.s,  c.y +  8*c.s,  60*c.s, 28*c.s);
+    let blushA = max(0, lerp(52, -10, tod)) * skyClarity();
+    fill(...blush, blushA);
+    ellipse(x, c.y - 5, 60*c.s, 22*c.s);
   }
+  return count;
 }
 
 // ============================================================
-//  FAR HILLS — lavender → black silhouette
+//  FAR HILLS — lavender (or the biome's colour) → black silhouette
+//  Terrain layers render into a cached buffer pg, clipped to the
+//  world span x0..x1; each returns the vertices drawn
 // ============================================================
-function drawFarHills() {
+function drawFarHills(pg, x0, x1) {
+  let pts = terrainSpan(farPts, x => seamY(scene.terrain.far, x), x0, x1);
   let ns = lerp(1, 0.07, tod);
-  let [r, g, b] = dn(205, 188, 225, ns);
-  fill(r, g, b);
-  noStroke();
-  beginShape();
-  vertex(0, CANVAS_H);
-  for (let p of farPts) vertex(p.x, p.y);
-  vertex(WORLD_W, CANVAS_H);
-  endShape(CLOSE);
+  let [r, g, b] = fogTint(dn(...pal('far'), ns), 0.85);
+  pg.fill(r, g, b);
+  pg.noStroke();
+  fillProfile(pg, pts);
 
   if (tod < 0.55) {
-    let ra = map(tod, 0, 0.55, 110, 0);
-    stroke(225, 212, 240, ra);
-    strokeWeight(1.5);
-    noFill();
-    beginShape();
-    for (let p of farPts) vertex(p.x, p.y - 2);
-    endShape();
-    noStroke();
+    let ra = map(tod, 0, 0.55, 110, 0) * (1 - weather.fog);
+    pg.stroke(...pal('ridge'), ra);
+    pg.strokeWeight(1.5);
+    pg.noFill();
+    pg.beginShape();
+    for (let p of pts) pg.vertex(p.x, p.y - 2);
+    pg.endShape();
+    pg.noStroke();
+    return pts.length * 2;
   }
+  return pts.length;
 }
 
 // ============================================================
-//  MID HILLS — sage-green → silhouette
+//  MID HILLS — sage-green (or the biome's colour) → silhouette
 // ============================================================
-function drawMidHills() {
+function drawMidHills(pg, x0, x1) {
+  let pts = terrainSpan(midPts, x => seamY(scene.terrain.mid, x), x0, x1);
   let ns = lerp(1, 0.06, tod);
-  let [r, g, b] = dn(162, 204, 170, ns);
-  fill(r, g, b);
-  noStroke();
-  beginShape();
-  vertex(0, CANVAS_H);
-  for (let p of midPts) vertex(p.x, p.y);
-  vertex(WORLD_W, CANVAS_H);
-  endShape(CLOSE);
+  let [r, g, b] = fogTint(dn(...pal('mid'), ns), 0.5);
+  pg.fill(r, g, b);
+  pg.noStroke();
+  fillProfile(pg, pts);
+  return pts.length;
 }
 
 // ============================================================
 //  NEAR GROUND
 // ============================================================
-function drawNearGround() {
+function drawNearGround(pg, x0, x1) {
+  let pts = terrainSpan(gndPts, groundY, x0, x1);
   let ns = lerp(1, 0.06, tod);
-  let [r, g, b] = dn(130, 182, 142, ns);
-  fill(r, g, b);
-  noStroke();
-  beginShape();
-  vertex(0, CANVAS_H);
-  for (let p of gndPts) vertex(p.x, p.y);
-  vertex(WORLD_W, CANVAS_H);
-  endShape(CLOSE);
+  let [r, g, b] = dn(...pal('ground'), ns);
+  pg.fill(r, g, b);
+  pg.noStroke();
+  fillProfile(pg, pts);
+  return pts.length;
+}
+
+// Terrain points covering x0..x1. On the ring ('wrap') the span can
+// run past the world's end, so points are sampled fresh from yAt(x),
+// the layer's seamY()
+function terrainSpan(pts, yAt, x0, x1) {
+  if (loopMode !== 'wrap') return profileSpan(pts, x0, x1);
+  let step = scene.terrain.step || 6;
+  let out  = [];
+  for (let x = floor(x0 / step) * step; x <= x1 + step; x += step) {
+    out.push(createVector(x, yAt(x)));
+  }
+  return out;
+}
+
+// Profile points covering world x0..x1 (one extra each side)
+function profileSpan(pts, x0, x1) {
+  return pts.filter((p, i) =>
+    (p.x >= x0 && p.x <= x1) ||
+    (pts[i + 1] && pts[i + 1].x > x0 && p.x < x0) ||
+    (pts[i - 1] && pts[i - 1].x < x1 && p.x > x1));
+}
+
+// Solid silhouette from a profile down to the canvas bottom
+function fillProfile(pg, pts) {
+  if (pts.length === 0) return;
+  pg.beginShape();
+  pg.vertex(pts[0].x, VIEW_H);
+  for (let p of pts) pg.vertex(p.x, p.y);
+  pg.vertex(pts[pts.length - 1].x, VIEW_H);
+  pg.endShape(CLOSE);
 }
 
 // ============================================================
 //  TREES — darken to silhouette at night
+//  The biome picks the kind; other kinds are in biomes.js
 // ============================================================
-function drawTrees() {
-  const treeXs = [
-     85,  255,  435,  615,  800,
-    1015, 1195, 1385, 1570, 1755,
-    1945, 2135, 2325
-  ];
-  let ns = lerp(1, 0.055, tod);
+function drawTrees(off = 0) {
+  let ns   = lerp(1, 0.055, tod);
+  let kind = biome().tree;
+  let count = 0;
 
-  for (let tx of treeXs) {
+  noStroke();
+  for (let tx of scene.trees) {
+    if (!inView(tx + off, 60) || overWater(tx)) continue;
+    count++;
     let gY = groundY(tx);
-    let h  = 58 + noise(tx * 0.01)     * 38;
-    let w  = 46 + noise(tx * 0.02 + 5) * 18;
+    let [h, w] = treeSize(tx);
+
+    if      (kind === 'pine')    drawPineTree(tx, gY, h, w, ns);
+    else if (kind === 'cactus')  drawCactus  (tx, gY, h, w, ns);
+    else if (kind === 'cypress') drawCypress (tx, gY, h, w, ns);
+    else                         drawRoundTree(tx, gY, h, w, ns);
+  }
+  return count;
+}
 
-    let [tr, tg, tb] = dn(148, 108, 78, ns);
-    fill(tr, tg, tb); noStroke();
-    rect(tx - 5, gY - h + 12, 10, h);
+// Height and canopy width, steady for a tree's position
+function treeSize(tx) {
+  return [58 + noise(tx * 0.01) * 38, 46 + noise(tx * 0.02 + 5) * 18];
+}
 
-    let [f1r, f1g, f1b] = dn(108, 162, 122, ns);
-    fill(f1r, f1g, f1b, 218);
-    ellipse(tx,      gY - h - 4,   w,        w * 0.95);
+// ─── Meadow tree: trunk under three round canopies ───────────
+function drawRoundTree(tx, gY, h, w, ns) {
+  let [tr, tg, tb] = dn(...pal('trunk'), ns);
+  fill(tr, tg, tb);
+  rect(tx - 5, gY - h + 12, 10, h);
 
-    let [f2r, f2g, f2b] = dn(92, 150, 110, ns);
-    fill(f2r, f2g, f2b, 200);
-    ellipse(tx - 14, gY - h + 9,   w * 0.80, w * 0.80);
+  let [f1r, f1g, f1b] = dn(...pal('canopy'), ns);
+  fill(f1r, f1g, f1b, 218);
+  ellipse(tx,      gY - h - 4,   w,        w * 0.95);
 
-    let [f3r, f3g, f3b] = dn(122, 175, 136, ns);
-    fill(f3r, f3g, f3b, 200);
-    ellipse(tx + 11, gY - h + 11,  w * 0.74, w * 0.74);
-  }
+  let [f2r, f2g, f2b] = dn(...pal('canopyShade'), ns);
+  fill(f2r, f2g, f2b, 200);
+  ellipse(tx - 14, gY - h + 9,   w * 0.80, w * 0.80);
+
+  let [f3r, f3g, f3b] = dn(...pal('canopyLight'), ns);
+  fill(f3r, f3g, f3b, 200);
+  ellipse(tx + 11, gY - h + 11,  w * 0.74, w * 0.74);
 }
 
 // ============================================================
 //  FLOWERS + GRASS — fade and desaturate at night
+//  The biome picks the plant and grass colour (none on snow);
+//  other plants are in biomes.js
 // ============================================================
-function drawFlowers() {
+function drawFlowers(off = 0) {
   let ns         = lerp(1, 0.055, tod);
   let grassAlpha = lerp(162, 28, tod);
+  let b          = biome();
+  let grass      = pal('grass');
 
-  strokeWeight(1.2);
-  for (let x = 0; x < WORLD_W; x += 18) {
-    let gy = groundY(x);
-    let bh = 7 + noise(x * 0.14) * 10;
-    let [gr, gg, gb] = dn(90, 152, 100, ns);
+  let count = 0;
+
+  // Grass tufts sit every 18px — only walk the visible stretch
+  let left = parallaxX(1) - off;
+  let gx0  = max(0, floor((left - 20) / 18) * 18);
+  let gx1  = min(WORLD_W, left + VIEW_W + 20);
+
+  if (grass) {
+    strokeWeight(1.2);
+    let [gr, gg, gb] = dn(...grass, ns);
     stroke(gr, gg, gb, grassAlpha);
-    line(x,     gy, x - 2, gy - bh);
-    line(x + 7, gy, x + 9, gy - bh * 0.75);
+    for (let x = gx0; x < gx1; x += 18) {
+      if (overWater(x) || overWater(x + 7)) continue;
+      count++;
+      let gy = groundY(x);
+      let bh = 7 + noise(x * 0.14) * 10;
+      line(x,     gy, x - 2, gy - bh);
+      line(x + 7, gy, x + 9, gy - bh * 0.75);
+    }
+    noStroke();
   }
-  noStroke();
-
-  const flowers = [
-    { x:  140, c: [255, 172, 185] },
-    { x:  305, c: [255, 228, 142] },
-    { x:  485, c: [212, 172, 255] },
-    { x:  665, c: [255, 188, 200] },
-    { x:  865, c: [255, 235, 152] },
-    { x: 1055, c: [188, 172, 255] },
-    { x: 1235, c: [255, 198, 168] },
-    { x: 1425, c: [172, 218, 255] },
-    { x: 1615, c: [255, 172, 212] },
-    { x: 1805, c: [255, 225, 152] },
-    { x: 1995, c: [192, 255, 192] },
-    { x: 2195, c: [255, 192, 225] },
-    { x: 2365, c: [255, 240, 158] },
-  ];
 
   let flowerA = lerp(200, 18, tod);
 
-  for (let f of flowers) {
+  for (let f of scene.flowers) {
+    if (!inView(f.x + off, 20) || overWater(f.x)) continue;
+    count++;
     let gy = groundY(f.x);
-    let [sr, sg, sb] = dn(92, 145, 80, ns);
-    stroke(sr, sg, sb);
-    strokeWeight(1.4);
-    line(f.x, gy, f.x, gy - 20);
-    noStroke();
+    if      (b.plant === 'shrub') drawShrub(f, gy, ns);
+    else if (b.plant === 'rock')  drawRock (f, gy, ns);
+    else if (b.plant === 'shell') drawShell(f, gy, ns);
+    else                          drawBloom(f, gy, ns, flowerA);
+  }
+  return count;
+}
 
-    fill(f.c[0] * ns, f.c[1] * ns, f.c[2] * ns, flowerA);
-    for (let i = 0; i < 6; i++) {
-      let a = (i / 6) * TWO_PI;
-      ellipse(f.x + cos(a) * 6, (gy - 20) + sin(a) * 6, 8, 8);
-    }
-    fill(255 * ns, 242 * ns, 100 * ns);
-    ellipse(f.x, gy - 20, 7, 7);
+// ─── Meadow flower: stem, six petals and a yellow heart ──────
+function drawBloom(f, gy, ns, flowerA) {
+  let [sr, sg, sb] = dn(...pal('stem'), ns);
+  stroke(sr, sg, sb);
+  strokeWeight(1.4);
+  line(f.x, gy, f.x, gy - 20);
+  noStroke();
+
+  fill(f.c[0] * ns, f.c[1] * ns, f.c[2] * ns, flowerA);
+  for (let i = 0; i < 6; i++) {
+    let a = (i / 6) * TWO_PI;
+    ellipse(f.x + cos(a) * 6, (gy - 20) + sin(a) * 6, 8, 8);
   }
+  let [hr, hg, hb] = dn(...pal('bloomHeart'), ns);
+  fill(hr, hg, hb);
+  ellipse(f.x, gy - 20, 7, 7);
 }
 
 // ============================================================
 //  PETALS / FIREFLIES
 //  Daytime: drifting pastel oval petals
 //  Night:   glowing round fireflies (pale yellow-green)
+//  Other biomes fill the air with their own particle (biomes.js)
 // ============================================================
-function drawPetals() {
+function drawPetals(off = 0) {
   let nightFactor = constrain(map(tod, 0.52, 0.88, 0, 1), 0, 1);
+  let kind  = biome().particle;
+  let fly   = pal('firefly');
+  let count = 0;
 
+  let n = petalCount();
   noStroke();
-  for (let p of petals) {
-    p.wx  += p.vx;
-    p.y   += sin(frameCount * 0.018 + p.ph) * 0.35;
-    p.ang += p.aSpd;
+  for (let i = 0; i < n; i++) {
+    let p = petals[i];
+    if (!inView(p.wx + off, 15) || p.float) continue;   // floaters: drawPond()
+    count++;
+    if (kind !== 'petal') drawParticle(kind, p, nightFactor);
+    else                  drawPetal(p, fly, nightFactor);
+  }
+  return count;
+}
 
-    if (p.wx > WORLD_W) p.wx = 0;
-    if (p.y > CANVAS_H - 25) p.y = 85;
-    if (p.wx < camX - 15 || p.wx > camX + CANVAS_W + 15) continue;
+// One petal — or, as night falls, a firefly
+function drawPetal(p, fly, nightFactor) {
+  let [pr, pg, pb] = petalColour(p).map((v, k) => lerp(v, fly[k], nightFactor));
+  let pa = lerp(p.a, 215, nightFactor);
 
-    let pr = lerp(p.r, 195, nightFactor);
-    let pg = lerp(p.g, 255, nightFactor);
-    let pb = lerp(p.b, 110, nightFactor);
-    let pa = lerp(p.a, 215, nightFactor);
+  if (nightFactor > 0.04) {
+    drawFireflyGlow(p, fly, nightFactor);
+    fill(...fly, nightFactor * pa * 0.22);
+    ellipse(p.wx, p.y, p.sz * 7, p.sz * 7);
+  }
 
-    if (nightFactor > 0.04) {
-      fill(195, 255, 110, nightFactor * pa * 0.22);
-      ellipse(p.wx, p.y, p.sz * 7, p.sz * 7);
-    }
+  push();
+  translate(p.wx, p.y);
+  rotate(p.ang);
+  fill(pr, pg, pb, pa);
+  ellipse(0, 0,
+    lerp(p.sz * 2.3, p.sz * 1.15, nightFactor),
+    lerp(p.sz,       p.sz * 1.1,  nightFactor)
+  );
+  pop();
+}
 
-    push();
-    translate(p.wx, p.y);
-    rotate(p.ang);
-    fill(pr, pg, pb, pa);
-    ellipse(0, 0,
-      lerp(p.sz * 2.3, p.sz * 1.15, nightFactor),
-      lerp(p.sz,       p.sz * 1.1,  nightFactor)
-    );
-    pop();
-  }
+// Somewhere between the biome's petal and petalPale, by its own mix
+function petalColour(p) {
+  let lo = pal('petal');
+  let hi = pal('petalPale');
+  return lo.map((v, k) => lerp(v, hi[k], p.mix[k]));
 }
 
 // ============================================================
 //  SYMBOLS — glowing discoveries; pulse when revealed
 // ============================================================
-function drawSymbols() {
-  for (let s of symbols) {
-    s.ph += 0.055;
+// The pulse runs once per step, not once per world copy drawn
+function updateSymbols() {
+  for (let s of symbols) s.ph += 0.055;
+}
 
-    let sx = s.wx - camX;
-    if (sx < -65 || sx > CANVAS_W + 65) continue;
+function drawSymbols(off = 0) {
+  let glow  = pal('symbolGlow');
+  let count = 0;
+  for (let s of symbols) {
+    if (!inView(s.wx + off, 65)) continue;
+    count++;
 
-    let pulse = (sin(s.ph) + 1) * 0.5;
+    let pulse = pulseAt(s.ph);
 
     noStroke();
     let maxR = 20 + pulse * 14;
     for (let r = maxR; r > 0; r -= 2.5) {
       let a = map(r, maxR, 0, 0, 65 + pulse * 118);
-      fill(255, 228, 115, a);
+      fill(...glow, a);
       ellipse(s.wx, s.wy, r * 2, r * 2);
     }
 
-    let sa = 175 + pulse * 80;
-    fill(255, 245, 158, sa);
-    stroke(255, 205, 55, sa);
-    strokeWeight(1.5);
-
-    if      (s.type === 'sun' ) drawSunSym (s.wx, s.wy, 10, pulse);
-    else if (s.type === 'leaf') drawLeafSym(s.wx, s.wy, 13, pulse);
-    else if (s.type === 'star') drawStarSym(s.wx, s.wy, 8, 18, 5);
-    else if (s.type === 'moon') drawMoonSym(s.wx, s.wy, 13, pulse);
+    drawSymbolShape(s.type, s.wx, s.wy, pulse);
   }
+  return count;
+}
+
+// Draw one symbol glyph at its normal size — shared by the world
+// and the HUD tray (which scales it down)
+function drawSymbolShape(type, x, y, pulse) {
+  let sa = 175 + pulse * 80;
+  fill(255, 245, 158, sa);
+  stroke(255, 205, 55, sa);
+  strokeWeight(1.5);
+
+  if      (type === 'sun' ) drawSunSym (x, y, 10, pulse);
+  else if (type === 'leaf') drawLeafSym(x, y, 13, pulse);
+  else if (type === 'star') drawStarSym(x, y, 8, 18, 5);
+  else if (type === 'moon') drawMoonSym(x, y, 13, pulse);
 }
 
 // ─── Symbol: radiant sun ─────────────────────────────────────
@@ -698,18 +1159,9 @@ function drawStarSym(x, y, r1, r2, n) {
 }
 
 // ─── Symbol: crescent moon ───────────────────────────────────
+// Always an old crescent, lit on the left (celestial.js)
 function drawMoonSym(x, y, r, pulse) {
   noStroke();
   fill(255, 242, 185, 200 + pulse * 55);
-  ellipse(x, y, r * 2, r * 2);
-  // Carve crescent with a disc matching the night sky
-  fill(18, 13, 62, 240);
-  ellipse(x + r * 0.48, y, r * 1.52, r * 1.72);
-}
-
-// ============================================================
-//  HELPER — ground surface Y at any world X
-// ============================================================
-function groundY(wx) {
-  return 316 + sin(wx * 0.006 + 1) * 9;
+  moonLitShape(x, y, r, 0.86);
 }
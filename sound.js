@@ -0,0 +1,252 @@
+// ============================================================
+//  SOUNDSCAPE — procedural ambience with p5.sound, no audio files
+//  Wind:     pink noise through a drifting low-pass filter
+//  Birds:    sine chirps swept by envelopes, fading out by dusk
+//  Crickets: short high pulse trains, fading in toward night
+//  Chimes:   a soft two-partial bell when a symbol is found
+//  Audio starts on the click/key that dismisses the start card,
+//  which keeps browser autoplay rules happy.
+// ============================================================
+
+// Sound control — sits left of the symbol tray (placed by layoutUI)
+const SND_ICON_W = 26;
+const SND_W      = 96;
+const SND_H      = BTN_H;
+let   SND_X      = 0;
+let   SND_Y      = 0;
+
+// Slider track inside the control
+const SND_TRACK_W = SND_W - SND_ICON_W - 16;
+let   SND_TRACK_X = 0;
+
+// One note per symbol (MIDI) — a gentle rising pentatonic
+const CHIME_NOTES = { sun: 72, leaf: 76, star: 79, moon: 84 };
+
+let soundReady = false;   // audio graph built and running
+let muted      = false;
+let volume     = 0.7;     // master volume, 0–1
+
+let wind, windFilter;
+let birdOsc, birdEnv;
+let cricketOscs = [];
+let cricketEnvs = [];
+let chimeOsc, chimeOsc2, chimeEnv, chimeEnv2;
+
+let nextBirdAt    = 0;    // frameCount of the next bird phrase
+let nextCricketAt = [0, 0];
+
+function soundAvailable() {
+  return typeof p5 !== 'undefined' && typeof p5.Oscillator === 'function';
+}
+
+// ─── Build the audio graph (once, on first user gesture) ─────
+function startSoundscape() {
+  if (soundReady || !soundAvailable()) return;
+  userStartAudio();
+
+  // Wind — filtered pink noise, amplitude set each update
+  wind       = new p5.Noise('pink');
+  windFilter = new p5.LowPass();
+  wind.disconnect();
+  wind.connect(windFilter);
+  wind.amp(0);
+  wind.start();
+
+  // Birds — one sine voice swept per chirp
+  birdOsc = new p5.Oscillator('sine');
+  birdEnv = new p5.Envelope();
+  birdEnv.setADSR(0.006, 0.05, 0, 0.04);
+  birdOsc.amp(0);
+  birdOsc.start();
+
+  // Crickets — two voices slightly apart so they overlap naturally
+  for (let f of [4450, 4120]) {
+    let osc = new p5.Oscillator('sine');
+    let env = new p5.Envelope();
+    env.setADSR(0.003, 0.018, 0, 0.015);
+    osc.freq(f);
+    osc.amp(0);
+    osc.start();
+    cricketOscs.push(osc);
+    cricketEnvs.push(env);
+  }
+
+  // Chime — fundamental plus a quiet octave partial
+  chimeOsc  = new p5.Oscillator('sine');
+  chimeOsc2 = new p5.Oscillator('sine');
+  chimeEnv  = new p5.Envelope();
+  chimeEnv2 = new p5.Envelope();
+  chimeEnv.setADSR(0.01, 1.4, 0, 0.8);
+  chimeEnv2.setADSR(0.005, 0.7, 0, 0.5);
+  chimeEnv.setRange(0.22, 0);
+  chimeEnv2.setRange(0.07, 0);
+  chimeOsc.amp(0);
+  chimeOsc2.amp(0);
+  chimeOsc.start();
+  chimeOsc2.start();
+
+  soundReady = true;
+  applyVolume();
+}
+
+// ─── Mix — follows tod every frame while playing ─────────────
+function updateSoundscape() {
+  if (!soundReady) return;
+
+  let birdLevel    = 1 - smoothStep(map(tod, 0.30, 0.70, 0, 1));
+  let cricketLevel = smoothStep(map(tod, 0.55, 0.90, 0, 1));
+
+  // Wind gusts — refresh a few times a second with a smooth ramp
+  if (frameCount % 8 === 0) {
+    let gust = noise(frameCount * 0.004, 40);
+    windFilter.freq(260 + gust * 780);
+    wind.amp(0.05 + gust * 0.09 + tod * 0.03 + weather.wind * 0.05, 0.3);
+  }
+
+  // Birds — short phrases of 2–5 chirps, more often in full daylight
+  if (birdLevel > 0.02 && frameCount >= nextBirdAt) {
+    playBirdPhrase(birdLevel);
+    nextBirdAt = frameCount + floor(soundRandom(50, 200) / max(birdLevel, 0.25));
+  }
+
+  // Crickets — each voice keeps its own loose rhythm
+  if (cricketLevel > 0.02) {
+    for (let i = 0; i < cricketOscs.length; i++) {
+      if (frameCount < nextCricketAt[i]) continue;
+      playCricketTrill(i, cricketLevel);
+      nextCricketAt[i] = frameCount + floor(soundRandom(34, 62));
+    }
+  }
+}
+
+// Chirp timing and pitch draw from Math.random(), not the seeded
+// random() the world is built from, so the sound never shifts it
+function soundRandom(lo, hi) {
+  return lo + Math.random() * (hi - lo);
+}
+
+function playBirdPhrase(level) {
+  let base   = soundRandom(2200, 3400);
+  let chirps = floor(soundRandom(2, 6));
+  birdEnv.setRange(0.09 * level, 0);
+  for (let k = 0; k < chirps; k++) {
+    let t    = k * soundRandom(0.11, 0.16);
+    let from = base * soundRandom(0.92, 1.08);
+    let to   = from * soundRandom(1.15, 1.45);
+    birdOsc.freq(from, 0, t);
+    birdOsc.freq(to, 0.06, t);
+    birdEnv.play(birdOsc, t);
+  }
+}
+
+function playCricketTrill(i, level) {
+  cricketEnvs[i].setRange(0.035 * level, 0);
+  for (let k = 0; k < 3; k++) {
+    cricketEnvs[i].play(cricketOscs[i], k * 0.045);
+  }
+}
+
+// Soft bell for a newly found symbol
+function playChime(type) {
+  if (!soundReady) return;
+  let note = CHIME_NOTES[type] || 76;
+  chimeOsc.freq(midiToFreq(note));
+  chimeOsc2.freq(midiToFreq(note + 12));
+  chimeEnv.play(chimeOsc);
+  chimeEnv2.play(chimeOsc2);
+}
+
+// ─── Volume ──────────────────────────────────────────────────
+function applyVolume() {
+  if (!soundReady) return;
+  outputVolume(muted ? 0 : volume, 0.15);
+}
+
+function toggleMute() {
+  muted = !muted;
+  applyVolume();
+}
+
+function setVolume(v) {
+  volume = constrain(v, 0, 1);
+  muted  = (volume === 0);
+  applyVolume();
+}
+
+// ============================================================
+//  SOUND CONTROL — speaker toggle + volume slider, bottom row
+// ============================================================
+function layoutSoundControl() {
+  SND_X       = TRAY_X - SND_W - 8;
+  SND_Y       = BTN_Y;
+  SND_TRACK_X = SND_X + SND_ICON_W + 6;
+}
+
+function drawSoundControl() {
+  // Drop shadow
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(SND_X + 2, SND_Y + 2, SND_W, SND_H, 7);
+
+  // Face — warm cream like the autoscroll button
+  fill(242, 228, 208, 218);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(SND_X, SND_Y, SND_W, SND_H, 7);
+
+  // Speaker glyph
+  let ix = SND_X + 9;
+  let iy = SND_Y + SND_H / 2;
+  noStroke();
+  fill(75, 52, 28);
+  rect(ix, iy - 3, 4, 6);
+  triangle(ix + 3, iy, ix + 9, iy - 6, ix + 9, iy + 6);
+
+  noFill();
+  stroke(75, 52, 28);
+  strokeWeight(1.3);
+  if (muted) {
+    line(ix + 12, iy - 3, ix + 17, iy + 3);
+    line(ix + 17, iy - 3, ix + 12, iy + 3);
+  } else {
+    arc(ix + 9, iy, 8,  8,  -QUARTER_PI, QUARTER_PI);
+    if (volume > 0.5) arc(ix + 9, iy, 14, 14, -QUARTER_PI, QUARTER_PI);
+  }
+
+  // Volume slider
+  let ty = SND_Y + SND_H / 2;
+  stroke(185, 158, 122, 200);
+  strokeWeight(3);
+  line(SND_TRACK_X, ty, SND_TRACK_X + SND_TRACK_W, ty);
+
+  let level = muted ? 0 : volume;
+  stroke(88, 168, 112, 230);
+  line(SND_TRACK_X, ty, SND_TRACK_X + SND_TRACK_W * level, ty);
+
+  noStroke();
+  fill(75, 52, 28);
+  ellipse(SND_TRACK_X + SND_TRACK_W * level, ty, 8, 8);
+}
+
+// Returns true when the press landed on the sound control
+function soundControlPressed(mx, my) {
+  if (mx < SND_X || mx > SND_X + SND_W || my < SND_Y || my > SND_Y + SND_H) {
+    return false;
+  }
+  startSoundscape();
+  if (mx < SND_X + SND_ICON_W) {
+    toggleMute();
+  } else {
+    soundSliderDragged(mx);
+  }
+  return true;
+}
+
+function soundSliderDragged(mx) {
+  setVolume((mx - SND_TRACK_X) / SND_TRACK_W);
+}
+
+function overSoundSlider(mx, my) {
+  return mx >= SND_X + SND_ICON_W && mx <= SND_X + SND_W &&
+         my >= SND_Y && my <= SND_Y + SND_H;
+}
@@ -0,0 +1,209 @@
+// ============================================================
+//  TIME OF DAY — where tod comes from
+//  'location' — tod follows camX (computeTOD), the original walk
+//  'clock'    — the visitor's local time drives the sky
+//  'cycle'    — a full day → night → day loop every N minutes
+//  'manual'   — a scrub slider sets tod directly
+//  ?time=<mode> picks the starting mode, ?cycle=<minutes> the loop.
+//  Everything downstream still just reads the global tod.
+//  The cycle and the blend between modes count world steps, not
+//  wall-clock time, so a session replay gets the same sky.
+// ============================================================
+
+const TOD_MODES     = ['location', 'clock', 'cycle', 'manual'];
+const TOD_BLEND     = 60;    // steps to ease between modes
+const CYCLE_STEP_MS = 1000 / 60;   // cycle time per world step
+
+// Local hour → tod keyframes for 'clock'. Mornings replay the
+// evening palette in reverse (dawn looks like dusk).
+const CLOCK_KEYS = [
+  [0,    1.00],
+  [4.5,  1.00],
+  [6,    0.70],   // dawn
+  [7.5,  0.25],   // golden morning
+  [9,    0.00],
+  [15,   0.00],
+  [17.5, 0.25],   // golden hour
+  [19,   0.60],   // dusk
+  [20.5, 0.88],
+  [22,   1.00],
+  [24,   1.00]
+];
+
+// Mode pill — bottom-left corner, slider beside it in manual mode.
+// On narrow screens the pair moves up a row, clear of the sound control.
+// The pill is as wide as its longest label (layoutTimeControl)
+const TIME_BTN_MIN_W = 128;
+const TIME_BTN_X     = 8;
+const TIME_SLD_W     = 120;
+let   TIME_BTN_W     = TIME_BTN_MIN_W;
+let   TIME_SLD_X     = TIME_BTN_X + TIME_BTN_W + 8;
+let   TIME_Y         = 0;
+
+let todMode      = 'location';
+let cycleMinutes = 4;
+let cycleMs      = 0;     // elapsed play time inside the cycle
+let manualTod    = 0;
+
+let blendFrom  = 0;       // tod when the mode last changed
+let blendSteps = TOD_BLEND;   // steps since then
+
+function initTimeOfDay() {
+  let params = new URLSearchParams(window.location.search);
+  let mode   = params.get('time');
+  if (TOD_MODES.includes(mode)) todMode = mode;
+
+  let mins = parseFloat(params.get('cycle'));
+  if (mins > 0) cycleMinutes = mins;
+}
+
+// ─── Sources ─────────────────────────────────────────────────
+function timeOfDay() {
+  let target;
+  if      (todMode === 'clock')  target = clockTOD(new Date());
+  else if (todMode === 'cycle')  target = cycleTOD();
+  else if (todMode === 'manual') target = manualTod;
+  else                           target = computeTOD();
+
+  // Ease out of a mode switch so the sky never snaps
+  if (blendSteps < TOD_BLEND) {
+    blendSteps++;
+    return lerp(blendFrom, target, smoothStep(blendSteps / TOD_BLEND));
+  }
+  return target;
+}
+
+function clockTOD(date) {
+  let h = date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+  for (let i = 1; i < CLOCK_KEYS.length; i++) {
+    let [h1, v1] = CLOCK_KEYS[i];
+    if (h <= h1) {
+      let [h0, v0] = CLOCK_KEYS[i - 1];
+      return lerp(v0, v1, smoothStep((h - h0) / (h1 - h0)));
+    }
+  }
+  return 1;
+}
+
+// Cosine loop: afternoon at 0, deep night halfway, back again.
+// Moves on a fixed CYCLE_STEP_MS per step, so a slow frame doesn't
+// skip ahead
+function cycleTOD() {
+  cycleMs += CYCLE_STEP_MS;
+  let phase = (cycleMs / (cycleMinutes * 60000)) % 1;
+  return 0.5 - 0.5 * cos(phase * TWO_PI);
+}
+
+// ─── Mode switching ──────────────────────────────────────────
+function setTodMode(mode) {
+  if (mode === todMode) return;
+  blendFrom  = tod;
+  blendSteps = 0;
+
+  // Pick up where the sky is now so switching feels continuous
+  if (mode === 'manual') manualTod = tod;
+  if (mode === 'cycle') {
+    cycleMs = acos(1 - 2 * constrain(tod, 0, 1)) / TWO_PI * cycleMinutes * 60000;
+  }
+  todMode = mode;
+}
+
+function nextTodMode() {
+  let i = TOD_MODES.indexOf(todMode);
+  setTodMode(TOD_MODES[(i + 1) % TOD_MODES.length]);
+}
+
+function scrubTod(delta) {
+  if (todMode !== 'manual') setTodMode('manual');
+  manualTod = constrain(manualTod + delta, 0, 1);
+}
+
+// ============================================================
+//  TIME CONTROL — mode pill + manual scrub slider, bottom-left
+// ============================================================
+function layoutTimeControl() {
+  push();
+  textSize(11);
+  let widest = max(...TOD_MODES.map(m => textWidth(timeButtonLabel(m))));
+  pop();
+  TIME_BTN_W = max(TIME_BTN_MIN_W, ceil(widest) + 24);
+  TIME_SLD_X = TIME_BTN_X + TIME_BTN_W + 8;
+
+  let fits = TIME_SLD_X + TIME_SLD_W + 8 <= SND_X;
+  TIME_Y = fits ? BTN_Y : BTN_Y - BTN_H - 8;
+}
+
+function drawTimeControl() {
+  let x = TIME_BTN_X;
+  let y = TIME_Y;
+
+  // Drop shadow + cream face, like the autoscroll button
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(x + 2, y + 2, TIME_BTN_W, BTN_H, 7);
+  fill(242, 228, 208, 218);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(x, y, TIME_BTN_W, BTN_H, 7);
+  noStroke();
+
+  textAlign(CENTER, CENTER);
+  textSize(11);
+  fill(75, 52, 28);
+  text(timeButtonLabel(todMode), x + TIME_BTN_W/2, y + BTN_H/2);
+
+  if (todMode !== 'manual') return;
+
+  // Scrub slider — afternoon on the left, night on the right
+  fill(0, 0, 0, 45);
+  rect(TIME_SLD_X + 2, y + 2, TIME_SLD_W, BTN_H, 7);
+  fill(242, 228, 208, 218);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(TIME_SLD_X, y, TIME_SLD_W, BTN_H, 7);
+
+  let tx0 = TIME_SLD_X + 10;
+  let tw  = TIME_SLD_W - 20;
+  let ty  = y + BTN_H / 2;
+
+  // Track tinted with the sky's own top stops
+  strokeWeight(3);
+  for (let i = 0; i < tw; i += 4) {
+    let c = lerpStops(skyStops().topStops, i / tw);
+    stroke(c[0], c[1], c[2]);
+    line(tx0 + i, ty, tx0 + min(i + 4, tw), ty);
+  }
+
+  noStroke();
+  fill(75, 52, 28);
+  ellipse(tx0 + tw * manualTod, ty, 9, 9);
+}
+
+function timeButtonLabel(mode) {
+  return t('time.button', { mode: t('time.' + mode) });
+}
+
+// Returns true when the press landed on the time control
+function timeControlPressed(mx, my) {
+  if (my < TIME_Y || my > TIME_Y + BTN_H) return false;
+
+  if (mx >= TIME_BTN_X && mx <= TIME_BTN_X + TIME_BTN_W) {
+    nextTodMode();
+    return true;
+  }
+  if (overTimeSlider(mx, my)) {
+    timeSliderDragged(mx);
+    return true;
+  }
+  return false;
+}
+
+function overTimeSlider(mx, my) {
+  return todMode === 'manual' &&
+         mx >= TIME_SLD_X && mx <= TIME_SLD_X + TIME_SLD_W &&
+         my >= TIME_Y && my <= TIME_Y + BTN_H;
+}
+
+function timeSliderDragged(mx) {
+  manualTod = constrain((mx - TIME_SLD_X - 10) / (TIME_SLD_W - 20), 0, 1);
+}
@@ -0,0 +1,301 @@
+// ============================================================
+//  GUIDED TOUR — the camera glides between scripted stops
+//  A third way to travel, next to the arrows and autoscroll.
+//  Picked on the start card (or G there). The script lives in
+//  tours/<name>.json (?tour=<name>, default tours/default.json):
+//    {
+//      "title": "...",
+//      "stops": [ { "at": "sun" | ["sun", "leaf", 0.4] | <world x>,
+//                   "glide": frames, "hold": frames, "ease": "inOut",
+//                   "caption": "..." } ],
+//      "end": "caption shown once control is handed back"
+//    }
+//  "at" centres the view on a symbol, on a point part of the way
+//  from one symbol to another (so it moves with them when a scene
+//  or ?width= places them elsewhere), or on a world x. Each stop is
+//  reached in "glide" frames along the easing curve, then held
+//  while its caption fades in and out.
+//  Arrows, a drag, the wheel or the stick pause the tour and hand
+//  the camera over; Space or Enter glides back to the stop it was
+//  heading for, and Esc leaves. At the end the visitor steers.
+//  "title", "caption" and "end" may be string-table ids (i18n.js)
+//  such as "tour.default.sun", so one script reads in every
+//  language; text that is not an id is shown as written.
+//  A missing or broken script falls back to a tour of the symbols.
+// ============================================================
+
+const TOUR_DIR     = 'tours/';
+const DEFAULT_TOUR = 'default';
+const TOUR_EASES   = {
+  linear: t => t,
+  in:     t => t * t,
+  out:    t => 1 - (1 - t) * (1 - t),
+  inOut:  t => smoothStep(t)
+};
+const TOUR_FADE    = 30;     // frames a caption takes to fade in or out
+const TOUR_END_FOR = 300;    // frames the end caption stays up
+
+let tourScript = null;       // validated script, or null for the fallback
+let tour       = null;       // { i, phase, t, glide, dist, done, paused } while touring
+let tourEnd    = { text: '', at: -TOUR_END_FOR };   // text as scripted, resolved when drawn
+
+// ─── Script ──────────────────────────────────────────────────
+function initTour() {
+  let name = new URLSearchParams(window.location.search).get('tour') || DEFAULT_TOUR;
+  let path = TOUR_DIR + (/^[\w-]+$/.test(name) ? name : DEFAULT_TOUR) + '.json';
+
+  loadJSON(path,
+    (data) => {
+      let errs = validateTour(data);
+      if (errs.length > 0) {
+        for (let e of errs) console.warn('[tour] ' + path + ': ' + e);
+        return;
+      }
+      tourScript = data;
+    },
+    () => console.warn('[tour] could not load ' + path + ' — touring the symbols instead')
+  );
+}
+
+function validateTour(data) {
+  if (!isObj(data)) return ['a tour must be a JSON object'];
+  let errs = [];
+  if (data.title !== undefined && typeof data.title !== 'string') errs.push('title must be text');
+  if (data.end   !== undefined && typeof data.end   !== 'string') errs.push('end must be text');
+  if (!Array.isArray(data.stops) || data.stops.length === 0) {
+    errs.push('stops must be a list of at least one stop');
+    return errs;
+  }
+  data.stops.forEach((s, i) => {
+    let at = 'stops[' + i + ']';
+    if (!isObj(s)) {
+      errs.push(at + ' must be an object');
+      return;
+    }
+    let between = Array.isArray(s.at) && s.at.length === 3 &&
+                  SYMBOL_TYPES.includes(s.at[0]) && SYMBOL_TYPES.includes(s.at[1]) &&
+                  isNum(s.at[2]) && s.at[2] >= 0 && s.at[2] <= 1;
+    if (!SYMBOL_TYPES.includes(s.at) && !between && !(isNum(s.at) && s.at >= 0)) {
+      errs.push(at + '.at must be a symbol (' + SYMBOL_TYPES.join(', ') + '), ' +
+                '[from, to, share 0–1] between two symbols, or a world x');
+    }
+    for (let k of ['glide', 'hold']) {
+      if (s[k] !== undefined && !(isNum(s[k]) && s[k] >= 0)) errs.push(at + '.' + k + ' must be a number of frames');
+    }
+    if (s.ease !== undefined && !TOUR_EASES[s.ease]) {
+      errs.push(at + '.ease must be one of: ' + Object.keys(TOUR_EASES).join(', '));
+    }
+    if (s.caption !== undefined && typeof s.caption !== 'string') errs.push(at + '.caption must be text');
+  });
+  return errs;
+}
+
+// The script, or one stop per symbol captioned with its card title
+function tourPlan() {
+  if (tourScript) return tourScript;
+  return {
+    title: 'tour.title',
+    stops: SYMBOL_TYPES.map(type => ({ at: type, caption: symbolCopy(type).title })),
+    end:   'tour.end'
+  };
+}
+
+// Script text in the current language when it is a string-table id
+function tourText(s) {
+  return s && hasString(s) ? t(s) : s;
+}
+
+function tourStop(i) {
+  let s = tourPlan().stops[i];
+  return {
+    at:      s.at,
+    glide:   s.glide !== undefined ? s.glide : 300,
+    hold:    s.hold  !== undefined ? s.hold  : 240,
+    ease:    TOUR_EASES[s.ease || 'inOut'],
+    caption: tourText(s.caption || '')
+  };
+}
+
+// camX that centres the stop; on the ring, the signed short way there
+function tourDistance(stop) {
+  let x = stop.at;
+  if (typeof x === 'string') {
+    x = symbolX(x);
+  } else if (Array.isArray(x)) {
+    x = lerp(symbolX(x[0]), symbolX(x[1]), x[2]);
+  }
+  let target = x - VIEW_W / 2;
+  if (loopMode !== 'wrap') return constrain(target, 0, maxCamX()) - camX;
+  let d = ((target - camX) % WORLD_W + WORLD_W) % WORLD_W;
+  return d > WORLD_W / 2 ? d - WORLD_W : d;
+}
+
+// A symbol's world x, or the view's centre if the scene has none
+function symbolX(type) {
+  let s = symbols.find(o => o.type === type);
+  return s ? s.wx : camX + VIEW_W / 2;
+}
+
+// ─── Running ─────────────────────────────────────────────────
+function startTour() {
+  if (gameState === 'start') startPlaying();
+  autoScroll = false;
+  driftVel   = 0;
+  camVel     = 0;
+  tour = { i: 0, phase: 'glide', t: 0, glide: 0, dist: 0, done: 0, paused: false };
+  glideTo(0);
+  announce('Guided tour: ' + tourText(tourPlan().title) + '. Arrow keys pause it.');
+}
+
+function pauseTour() {
+  if (!tour || tour.paused) return;
+  tour.paused = true;
+  announce('Tour paused. Press Space to carry on, or Escape to leave.');
+}
+
+// Glide back to the stop the tour was heading for (or holding at),
+// taking no longer than the script's glide to get there
+function resumeTour() {
+  if (!tour || !tour.paused) return;
+  tour.paused = false;
+  camVel      = 0;
+  glideTo(tour.i);
+  tour.glide  = constrain(abs(tour.dist) / 2, 60, tour.glide);
+}
+
+function endTour() {
+  if (!tour) return;
+  tour       = null;
+  autoScroll = false;
+  tourEnd    = { text: tourPlan().end || '', at: frameCount };
+  announce('Tour over. ' + (tourText(tourPlan().end) || 'Explore at your own pace.'));
+}
+
+function tourSteering() {
+  return !!tour && !tour.paused;
+}
+
+// Arrows count here too — they don't stop autoscroll, but they
+// do stop a tour
+function tourInterrupted(inp) {
+  return tourSteering() && (wantsManualControl(inp) || inp.left || inp.right);
+}
+
+// One step along the script — called from updateCamera()
+function updateTour() {
+  let stop = tourStop(tour.i);
+  tour.t++;
+
+  if (tour.phase === 'glide') {
+    let k    = tour.glide > 0 ? min(tour.t / tour.glide, 1) : 1;
+    let want = tour.dist * stop.ease(k);
+    moveCamera(want - tour.done);
+    tour.done = want;
+    if (k >= 1) {
+      tour.phase = 'hold';
+      tour.t     = 0;
+      if (stop.caption) announce(stop.caption);
+    }
+  } else if (tour.t >= stop.hold) {
+    if (tour.i + 1 >= tourPlan().stops.length) {
+      endTour();
+      return;
+    }
+    glideTo(tour.i + 1);
+  }
+}
+
+function glideTo(i) {
+  tour.i     = i;
+  tour.phase = 'glide';
+  tour.t     = 0;
+  tour.glide = tourStop(i).glide;
+  tour.dist  = tourDistance(tourStop(i));
+  tour.done  = 0;
+}
+
+// Space / Enter carry on, Esc leaves; true when the key was used
+function tourKey() {
+  if (!tour) return false;
+  if (keyCode === ESCAPE) {
+    endTour();
+    return true;
+  }
+  if (tour.paused && (key === ' ' || keyCode === ENTER)) {
+    resumeTour();
+    return true;
+  }
+  return false;
+}
+
+// Session replays put the tour back from its logged status
+function tourStatus() {
+  if (!tour) return null;
+  return tour.paused ? 'paused' : 'on';
+}
+
+function replayTour(v) {
+  if (v === tourStatus()) return;
+  if (v === null)           endTour();
+  else if (!tour)           startTour();
+  else if (v === 'paused')  pauseTour();
+  else                      resumeTour();
+}
+
+// ============================================================
+//  CAPTION — bottom centre, above the controls
+// ============================================================
+function drawTourCaption() {
+  let caption = '';
+  let a       = 0;
+  let note    = '';
+
+  if (tour) {
+    let stop = tourStop(tour.i);
+    if (tour.paused) {
+      caption = tour.phase === 'hold' ? stop.caption : '';
+      a       = 1;
+      note    = t('tour.paused');
+    } else if (tour.phase === 'hold' && stop.caption) {
+      caption = stop.caption;
+      a       = min(tour.t, stop.hold - tour.t, TOUR_FADE) / TOUR_FADE;
+    }
+  } else if (tourEnd.text && frameCount - tourEnd.at < TOUR_END_FOR) {
+    let since = frameCount - tourEnd.at;
+    caption = tourText(tourEnd.text);
+    a       = min(since, TOUR_END_FOR - since, TOUR_FADE) / TOUR_FADE;
+  }
+  a = constrain(a, 0, 1);
+  if (a <= 0) return;
+
+  // The box grows with the caption's lines (translations run longer)
+  let w     = min(520, UI_W - 24);
+  let lead  = 17;
+  textSize(13);
+  let lines = caption ? wrapLines(caption, w - 32) : [];
+  let textH = max(lines.length, 1) * lead;
+  let h     = textH + 22 + (note ? 20 : 0);
+  let x     = UI_W / 2 - w / 2;
+  let y     = BTN_Y - h - 14;
+
+  noStroke();
+  fill(0, 0, 0, 45 * a);
+  rect(x + 3, y + 3, w, h, 12);
+  fill(255, 248, 232, 232 * a);
+  rect(x, y, w, h, 12);
+  stroke(215, 185, 145, 180 * a);
+  strokeWeight(1);
+  noFill();
+  rect(x, y, w, h, 12);
+  noStroke();
+
+  textAlign(CENTER, CENTER);
+  textSize(13);
+  fill(72, 50, 28, 255 * a);
+  drawLines(lines, x + w / 2, y + 11 + textH / 2, lead);
+  if (note) {
+    textSize(11);
+    fill(148, 115, 78, 255 * a);
+    text(note, x + w / 2, y + h - 14);
+  }
+}
@@ -0,0 +1,134 @@
+// ============================================================
+//  VIEWPORT — responsive canvas, HiDPI and fullscreen
+//  The world is composed for a VIEW_H-tall view. The canvas fills
+//  the window and the world scales to fit its height, so the
+//  vertical composition never changes — wider windows just see
+//  more of the world (VIEW_W). Very narrow windows letterbox.
+//  UI lives in its own space (uiScale), anchored to the live
+//  canvas edges by layoutUI().
+// ============================================================
+
+const MIN_VIEW_W   = 480;   // narrowest world slice before letterboxing
+const UI_MIN_SCALE = 0.75;
+const UI_MAX_SCALE = 2;
+
+// World space → canvas pixels
+let viewScale = 1;
+let viewOffY  = 0;          // letterbox offset in canvas pixels
+let VIEW_W    = BASE_W;     // visible world width
+
+// UI space → canvas pixels
+let uiScale = 1;
+let UI_W    = BASE_W;
+let UI_H    = VIEW_H;
+
+// Fullscreen toggle — top-right corner
+const FS_SIZE = 24;
+let FS_X = 0;
+let FS_Y = 8;
+
+// ─── Layout ──────────────────────────────────────────────────
+// Recompute scales and UI positions from the live canvas size.
+// Call after the canvas is created or resized, or the world
+// width changes.
+function layoutView() {
+  viewScale = min(height / VIEW_H, width / MIN_VIEW_W);
+  // Never show more than the whole world
+  viewScale = max(viewScale, width / WORLD_W);
+  // A replay shows the width that was recorded, whatever the window
+  if (replayViewW > 0) viewScale = width / replayViewW;
+  VIEW_W    = replayViewW > 0 ? replayViewW : width / viewScale;
+  viewOffY  = (height - VIEW_H * viewScale) / 2;
+
+  moveCamera(0);   // re-clamp for the new view width
+
+  uiScale = constrain(min(width / BASE_W, height / VIEW_H), UI_MIN_SCALE, UI_MAX_SCALE);
+  UI_W    = width  / uiScale;
+  UI_H    = height / uiScale;
+  layoutUI();
+}
+
+// Bottom row, right to left: autoscroll button, gear, symbol tray, sound.
+// Along the top: the fullscreen button, and the minimap left of it
+function layoutUI() {
+  measureAutoScrollBtn();
+  BTN_X = UI_W - BTN_W - 8;
+  BTN_Y = UI_H - BTN_H - 8;
+  layoutGearBtn();
+  layoutSymbolTray();
+  layoutSoundControl();
+  layoutTimeControl();
+  FS_X = UI_W - FS_SIZE - 8;
+  layoutMinimap();
+}
+
+function maxCamX() {
+  return max(0, WORLD_W - VIEW_W);
+}
+
+// ─── Resize + fullscreen ─────────────────────────────────────
+function windowResized() {
+  resizeCanvas(windowWidth, windowHeight);
+  layoutView();
+}
+
+function toggleFullscreen() {
+  fullscreen(!fullscreen());
+}
+
+// Paint the strips a letterboxed (tall, narrow) window leaves
+// above and below the world: sky colour on top, ground below
+function drawLetterbox() {
+  if (viewOffY <= 0) return;
+  noStroke();
+
+  let top = lerpStops(skyStops().topStops, tod);
+  fill(top[0], top[1], top[2]);
+  rect(0, 0, width, ceil(viewOffY));
+
+  let ns = lerp(1, 0.06, tod);
+  let [r, g, b] = dn(...pal('ground'), ns);
+  fill(r, g, b);
+  rect(0, floor(viewOffY + VIEW_H * viewScale), width, ceil(viewOffY));
+}
+
+// ============================================================
+//  FULLSCREEN BUTTON — corner brackets, top-right during play
+// ============================================================
+function drawFullscreenBtn() {
+  let x = FS_X;
+  let y = FS_Y;
+
+  noStroke();
+  fill(0, 0, 0, 45);
+  rect(x + 2, y + 2, FS_SIZE, FS_SIZE, 7);
+  fill(242, 228, 208, 218);
+  stroke(185, 158, 122, 190);
+  strokeWeight(1);
+  rect(x, y, FS_SIZE, FS_SIZE, 7);
+
+  // Corner brackets — open outward to enter, inward to leave
+  stroke(75, 52, 28);
+  strokeWeight(1.4);
+  let inset = 6;
+  let arm   = 4;
+  let corners = [
+    [x + inset,           y + inset,            1,  1],
+    [x + FS_SIZE - inset, y + inset,           -1,  1],
+    [x + inset,           y + FS_SIZE - inset,  1, -1],
+    [x + FS_SIZE - inset, y + FS_SIZE - inset, -1, -1]
+  ];
+  for (let [cx, cy, sx, sy] of corners) {
+    if (fullscreen()) {
+      cx += sx * arm;  cy += sy * arm;
+      sx  = -sx;       sy  = -sy;
+    }
+    line(cx, cy, cx + sx * arm, cy);
+    line(cx, cy, cx, cy + sy * arm);
+  }
+  noStroke();
+}
+
+function overFullscreenBtn(mx, my) {
+  return mx >= FS_X && mx <= FS_X + FS_SIZE && my >= FS_Y && my <= FS_Y + FS_SIZE;
+}
@@ -0,0 +1,157 @@
+// ============================================================
+//  WATER — a pond sunk into the near ground
+//  The scene's "pond": { x, w, depth } digs a basin into the
+//  ground profile (x is its centre); groundY() and the terrain
+//  outline both include the dip. Water fills the basin to just
+//  under its lower rim. Trees, plants, grass and the hare keep out.
+//  The surface mirrors whatever was drawn above it this frame —
+//  sky, hills, trees, symbols, and by night stars and fireflies —
+//  squashed, flipped and cut into rippling strips, under a tint
+//  that deepens with tod. Petals that come down on it float.
+// ============================================================
+
+const POND_BANK    = 0.25;   // share of the width each sloping bank takes
+const POND_ROW     = 2;      // world px per reflection strip
+const POND_SQUASH  = 0.25;   // reflection height per px of scene above
+const POND_RIPPLE  = 0.06;   // ripple speed, radians per frame
+
+let pond = null;   // { x, x0, x1, depth, level, shape, rows } or null
+
+// Called from buildWorld() before the ground is sampled. Needs the
+// undipped ground, so it runs while pond is still null.
+function buildPond(spec) {
+  pond = null;
+  if (!spec) return;
+  let x0    = spec.x - spec.w / 2;
+  let x1    = spec.x + spec.w / 2;
+  let level = max(groundY(x0), groundY(x1)) + 3;
+  let p     = { x: spec.x, x0: x0, x1: x1, depth: spec.depth || 34, level: level };
+  pond = p;
+
+  // The waterline runs between the points where the banks cross it
+  let basin = [];
+  for (let x = x0; x <= x1; x += 2) {
+    if (groundY(x) > level) basin.push(createVector(x, groundY(x)));
+  }
+  p.shape = basin;
+
+  // Strips from the surface down, each clipped to the banks
+  p.rows = [];
+  let bottom = max(...basin.map(v => v.y));
+  for (let y = level; y < bottom; y += POND_ROW) {
+    let wet = basin.filter(v => v.y > y);
+    if (wet.length > 0) p.rows.push({ y: y, x0: wet[0].x, x1: wet[wet.length - 1].x });
+  }
+}
+
+// How far the basin lowers the ground at world x
+function pondDip(wx) {
+  if (!pond) return 0;
+  let u = (pondX(wx) - pond.x0) / (pond.x1 - pond.x0);
+  if (u <= 0 || u >= 1) return 0;
+  return pond.depth * smoothStep(min(min(u, 1 - u) / POND_BANK, 1));
+}
+
+function overWater(wx) {
+  if (!pond) return false;
+  let x = pondX(wx);
+  return x > pond.x0 && x < pond.x1 && groundY(x) > pond.level;
+}
+
+// Where something resting at world x sits: on the water or the ground
+function surfaceY(wx) {
+  return overWater(wx) ? pond.level : groundY(wx);
+}
+
+// On the ring, world x brought into the pond's copy of the world
+function pondX(wx) {
+  if (loopMode !== 'wrap') return wx;
+  return ((wx % WORLD_W) + WORLD_W) % WORLD_W;
+}
+
+// ============================================================
+//  DRAW — after the symbols, so everything above is mirrored
+// ============================================================
+function drawPond(off = 0) {
+  if (!pond || pond.shape.length < 2) return 0;
+  let left = parallaxX(1) - off;          // view's left edge in this copy
+  let x0   = max(pond.shape[0].x, left);
+  let x1   = min(pond.shape[pond.shape.length - 1].x, left + VIEW_W);
+  if (x1 <= x0) return 0;
+
+  // Strips are copied from the canvas itself, through the transform
+  // the layer is drawn under (so pixel density and a 2× still come
+  // along). The water never covers the scene above its surface,
+  // so nothing needs grabbing first.
+  let reach = min(pond.level, pond.depth / POND_SQUASH);
+  let ctx   = drawingContext;
+  let m     = ctx.getTransform();
+
+  let water = lerpStops([pal('water'), pal('waterNight')], tod);
+  noStroke();
+  fill(...water);
+  waterShape();
+
+  // Each strip d px below the surface shows the scene d / squash px
+  // above it, nudged sideways by a ripple that grows with depth
+  let still = motionReduced();
+  let count = 2;
+  for (let r of pond.rows) {
+    let a = max(r.x0, x0);
+    let b = min(r.x1, x1);
+    if (b <= a) continue;
+    let d    = r.y - pond.level;
+    let wave = still ? 0 : sin(frameCount * POND_RIPPLE + d * 0.8) * (0.6 + d * 0.08);
+    let sy   = max(pond.level - (d + POND_ROW) / POND_SQUASH, pond.level - reach);
+    let sx   = constrain(a + wave, x0, x1 - (b - a));
+    ctx.drawImage(ctx.canvas,
+                  m.a * sx + m.e, m.d * sy + m.f, m.a * (b - a), m.d * POND_ROW / POND_SQUASH,
+                  a, r.y, b - a, POND_ROW);
+    count++;
+  }
+
+  // Tint toward the water's own colour, more with depth and night
+  fill(...water, lerp(90, 150, tod));
+  waterShape();
+
+  // A bright waterline and a few drifting glints
+  let shine = lerp(120, 40, tod);
+  stroke(255, 255, 255, shine);
+  strokeWeight(1);
+  line(pond.shape[0].x, pond.level, pond.shape[pond.shape.length - 1].x, pond.level);
+  for (let i = 0; i < pond.rows.length; i += 3) {
+    let r = pond.rows[i];
+    let t = still ? 0.5 : (sin(frameCount * POND_RIPPLE * 0.7 + i * 1.7) + 1) / 2;
+    let w = (r.x1 - r.x0) * 0.18;
+    let x = lerp(r.x0, r.x1 - w, t);
+    stroke(255, 255, 255, shine * 0.5);
+    line(x, r.y + 1, x + w, r.y + 1);
+  }
+  noStroke();
+
+  return count + drawFloatingPetals(off);
+}
+
+// Waterline across the top, down and along the basin floor
+function waterShape() {
+  beginShape();
+  vertex(pond.shape[0].x, pond.level);
+  vertex(pond.shape[pond.shape.length - 1].x, pond.level);
+  for (let i = pond.shape.length - 1; i >= 0; i--) vertex(pond.shape[i].x, pond.shape[i].y);
+  endShape(CLOSE);
+}
+
+// Petals resting on the water go over it, not under its tint
+function drawFloatingPetals(off) {
+  let nightFactor = constrain(map(tod, 0.52, 0.88, 0, 1), 0, 1);
+  let fly   = pal('firefly');
+  let count = 0;
+  let n     = petalCount();
+  for (let i = 0; i < n; i++) {
+    let p = petals[i];
+    if (!p.float || !inView(p.wx + off, 15)) continue;
+    count++;
+    drawPetal(p, fly, nightFactor);
+  }
+  return count;
+}
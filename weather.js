@@ -0,0 +1,177 @@
+// ============================================================
+//  WEATHER — wind, rain, fog and evening mist
+//  Each state is a mix of four amounts (0–1). The live `weather`
+//  mix eases toward the current state, so changes roll in over a
+//  few seconds. Everything here tints what tod already chose —
+//  rain greys the sky, fog veils the far hills in the sky's own
+//  horizon colour — so night stays night.
+//  ?weather=<state> fixes the weather; otherwise a random state
+//  is picked per visit and it changes every couple of minutes.
+// ============================================================
+
+const WEATHER_STATES = {
+  clear:  { wind: 0.15, rain: 0, fog: 0,    mist: 0 },
+  breezy: { wind: 1,    rain: 0, fog: 0,    mist: 0 },
+  rain:   { wind: 0.5,  rain: 1, fog: 0.3,  mist: 0 },
+  fog:    { wind: 0.05, rain: 0, fog: 1,    mist: 0.3 },
+  mist:   { wind: 0.1,  rain: 0, fog: 0.15, mist: 1 }
+};
+const WEATHER_NAMES = Object.keys(WEATHER_STATES);
+const WEATHER_EASE  = 0.006;            // mix → state, per frame
+const WEATHER_HOLD  = [7200, 12600];    // auto mode: frames between changes
+const RAIN_DROPS    = 260;
+
+let weatherName = 'clear';
+let weatherAuto = true;
+let weather     = Object.assign({}, WEATHER_STATES.clear);
+let nextWeatherAt = 0;
+
+let windPush   = 0;        // this frame's push, world px/frame
+let cloudDrift = 0;        // how far the wind has carried the clouds
+let mistDrift  = 0;
+let drops      = [];
+
+function initWeather() {
+  let name = new URLSearchParams(window.location.search).get('weather');
+  if (WEATHER_STATES[name]) {
+    weatherAuto = false;
+  } else {
+    name = WEATHER_NAMES[floor(Math.random() * WEATHER_NAMES.length)];
+  }
+  weatherName = name;
+  Object.assign(weather, WEATHER_STATES[name]);
+  nextWeatherAt = frameCount + weatherHold();
+
+  // Drops live in view space; x is a fraction of the view width
+  for (let i = 0; i < RAIN_DROPS; i++) {
+    drops.push({
+      u:   Math.random(),
+      y:   Math.random() * VIEW_H,
+      len: 9 + Math.random() * 9,
+      spd: 7 + Math.random() * 5
+    });
+  }
+}
+
+function weatherHold() {
+  return WEATHER_HOLD[0] + Math.random() * (WEATHER_HOLD[1] - WEATHER_HOLD[0]);
+}
+
+// ─── Update — once per frame ─────────────────────────────────
+function updateWeather() {
+  if (weatherAuto && frameCount >= nextWeatherAt) {
+    let others = WEATHER_NAMES.filter(n => n !== weatherName);
+    weatherName   = others[floor(Math.random() * others.length)];
+    nextWeatherAt = frameCount + weatherHold();
+  }
+
+  let target = WEATHER_STATES[weatherName];
+  for (let k in target) weather[k] = lerp(weather[k], target[k], WEATHER_EASE);
+
+  // Gusty wind — slow noise around the state's strength
+  windPush    = weather.wind * (0.5 + noise(frameCount * 0.004, 90)) * 0.9;
+  cloudDrift += 0.05 + windPush * 0.3;
+  mistDrift  += 0.1 + windPush * 0.5;
+
+  if (weather.rain < 0.01) return;
+  let slant = 0.15 + weather.wind * 0.35;
+  for (let d of drops) {
+    d.y += d.spd;
+    d.u += slant * d.spd / VIEW_W;
+    if (d.y > VIEW_H) {
+      d.y = -d.len;
+      d.u = Math.random();
+    }
+    if (d.u > 1) d.u -= 1;
+  }
+}
+
+// W cycles the weather by hand (and stops the automatic changes)
+function nextWeather() {
+  let i = WEATHER_NAMES.indexOf(weatherName);
+  weatherName = WEATHER_NAMES[(i + 1) % WEATHER_NAMES.length];
+  weatherAuto = false;
+}
+
+// Has the rain or fog moved since a cached layer took this
+// snapshot? (Wind and mist never touch the cached layers.)
+function weatherChanged(snap) {
+  if (!snap) return true;
+  return abs(weather.rain - snap.rain) > TOD_EPS ||
+         abs(weather.fog  - snap.fog)  > TOD_EPS;
+}
+
+// ─── Colour helpers — applied on top of the tod palette ──────
+// Rain pulls a colour toward its own grey and darkens it a little
+function rainShade(c) {
+  let k    = weather.rain;
+  let grey = (c[0] + c[1] + c[2]) / 3;
+  return c.map(v => lerp(v, grey, k * 0.6) * (1 - k * 0.3));
+}
+
+// Fog blends toward the horizon colour at this tod; depth 0–1
+// says how far away the layer is
+function fogTint(c, depth) {
+  let k   = weather.fog * depth;
+  let hz  = rainShade(lerpStops(skyStops().botStops, tod));
+  let hzG = (hz[0] + hz[1] + hz[2]) / 3;
+  return c.map((v, i) => lerp(v, lerp(hz[i], hzG, 0.4), k));
+}
+
+// How much of the sky shows through rain and fog, 0–1
+function skyClarity() {
+  return 1 - max(weather.rain, weather.fog) * 0.85;
+}
+
+// Wrap a cloud's drifted x back into its layer. On the ring the
+// span is the world itself so the tiles still line up.
+function cloudX(c) {
+  let pad  = loopMode === 'wrap' ? 0 : 150;
+  let span = WORLD_W + pad * 2;
+  let x    = (c.x + cloudDrift + pad) % span;
+  return x - pad;
+}
+
+// ============================================================
+//  MIST — soft bands that pool between the hills toward evening
+//  Drawn in view space, behind the ground
+// ============================================================
+function drawMist() {
+  let evening = 0.35 + 0.65 * smoothStep(map(tod, 0.2, 0.6, 0, 1));
+  let a = max(weather.mist * evening, weather.fog * 0.5) * 70;
+  if (a < 1) return 0;
+
+  let c = fogTint(pal('mist'), 1);
+  let count = 0;
+  noStroke();
+  for (let band = 0; band < 4; band++) {
+    let y   = 268 + band * 16;
+    let gap = 220 + band * 40;
+    let x0  = -((parallaxX(1) * (0.62 + band * 0.1) - mistDrift * (1 + band * 0.2)) % gap) - gap;
+    fill(c[0], c[1], c[2], a * (0.6 + band * 0.15));
+    for (let x = x0; x < VIEW_W + gap; x += gap) {
+      ellipse(x, y, gap * 1.3, 18 + band * 4);
+      count++;
+    }
+  }
+  return count;
+}
+
+// ============================================================
+//  RAIN — slanted streaks across the view, in front of the world
+// ============================================================
+function drawRain() {
+  let n = floor(drops.length * weather.rain);
+  if (n === 0) return 0;
+
+  let slant = 0.15 + weather.wind * 0.35;
+  stroke(...pal('rain'), lerp(120, 55, tod));
+  strokeWeight(1);
+  for (let i = 0; i < n; i++) {
+    let d = drops[i];
+    let x = d.u * VIEW_W;
+    line(x, d.y, x + slant * d.len, d.y + d.len);
+  }
+  noStroke();
+  return n;
+}
@@ -0,0 +1,352 @@
+// ============================================================
+//  WILDLIFE — birds by day, a hare on the ground, bats and an
+//  owl in the trees by night
+//  - Birds: a small boids flock crosses the sky now and then,
+//    less often toward golden hour and not at all after dusk
+//  - Hare: grazes in short hops along groundY(); when the camera
+//    comes close it sits up, then bolts off screen and turns up
+//    again somewhere out of sight. It goes home around dusk.
+//  - Bats flit round every other tree, and an owl sits in one,
+//    once night falls
+//  Each species' activity is a smoothStep() of tod, and every body
+//  goes dark through dn() like the trees. Colours are named in the
+//  biome (biomes.js).
+//  Decisions come from noise() of the wildlife's own step count,
+//  never random(), so a session replay sees the same animals.
+//  Birds leave when they're off screen; the rest only draw in view.
+// ============================================================
+
+const FLOCK_MAX   = 9;
+const BIRD_SPEED  = 1.8;     // world px/step along the flock's heading
+const BIRD_NEAR   = 14;      // birds closer than this push apart
+const FLOCK_GAP   = [240, 900];   // steps between flocks, in full daylight
+const HARE_NEAR   = 190;     // camera-centre distance that startles the hare
+const HARE_ALERT  = 24;      // steps it sits up before bolting
+
+let wildT    = 0;       // wildlife steps — its clock for noise()
+let flock    = [];      // { x, y, vx, vy, ph }
+let flockDir = 1;       // +1 flies right, -1 left
+let nextFlockAt = 0;    // wildT when the next flock may set off
+let hare     = null;    // { x, dir, mode, t, hop }
+
+// Called from buildWorld() — the hare starts somewhere seeded
+function resetWildlife() {
+  wildT       = 0;
+  flock       = [];
+  nextFlockAt = 120;
+  hare = {
+    x:    WORLD_W * (0.25 + noise(3.7) * 0.5),
+    dir:  1,
+    mode: 'graze',     // graze | alert | flee | hidden
+    t:    0,           // steps in this mode
+    hop:  -1           // 0–1 through a hop, -1 when sitting
+  };
+  if (overWater(hare.x)) hare.x = pond.x1 + 30;
+}
+
+// ─── Activity — 0 (away) to 1 (about) for the current tod ────
+function birdActivity() {
+  return 1 - smoothStep(map(tod, 0.30, 0.55, 0, 1));
+}
+
+function hareActivity() {
+  return 1 - smoothStep(map(tod, 0.60, 0.80, 0, 1));
+}
+
+function batActivity() {
+  return smoothStep(map(tod, 0.65, 0.85, 0, 1));
+}
+
+function owlActivity() {
+  return smoothStep(map(tod, 0.55, 0.75, 0, 1));
+}
+
+// ============================================================
+//  UPDATE — once per world step, however many copies are drawn
+// ============================================================
+function updateWildlife() {
+  if (!hare) return;
+  wildT++;
+  updateFlock();
+  updateHare();
+}
+
+// ─── Birds ───────────────────────────────────────────────────
+function updateFlock() {
+  let left = parallaxX(1);
+
+  if (flock.length === 0) {
+    let act = birdActivity();
+    if (act > 0.05 && wildT >= nextFlockAt) launchFlock(left, act);
+    return;
+  }
+
+  // Boids: hold together, match heading, keep a little space, and
+  // all the while lean toward the flock's heading and height
+  let cx = 0, cy = 0, avx = 0, avy = 0;
+  for (let b of flock) {
+    cx += b.x;  cy += b.y;
+    avx += b.vx; avy += b.vy;
+  }
+  let n = flock.length;
+  cx /= n; cy /= n; avx /= n; avy /= n;
+  let alt = 70 + noise(wildT * 0.004, 20) * 90;
+
+  for (let b of flock) {
+    let sx = 0, sy = 0;
+    for (let o of flock) {
+      let dx = b.x - o.x;
+      let dy = b.y - o.y;
+      let d2 = dx * dx + dy * dy;
+      if (o !== b && d2 < BIRD_NEAR * BIRD_NEAR) {
+        sx += dx / max(d2, 1);
+        sy += dy / max(d2, 1);
+      }
+    }
+    b.vx += (cx - b.x) * 0.0008 + (avx - b.vx) * 0.05 + sx * 0.6 + (flockDir * BIRD_SPEED - b.vx) * 0.05;
+    b.vy += (cy - b.y) * 0.0008 + (avy - b.vy) * 0.05 + sy * 0.6 + (alt - b.y) * 0.002;
+    b.vy *= 0.95;   // climbs and dips settle rather than swing
+    let sp = sqrt(b.vx * b.vx + b.vy * b.vy);
+    let k  = constrain(sp, BIRD_SPEED * 0.6, BIRD_SPEED * 1.4) / max(sp, 0.001);
+    b.vx *= k;
+    b.vy *= k;
+    b.x  += b.vx + windPush;
+    b.y  += b.vy;
+  }
+
+  // Gone once every bird is well clear of the view
+  if (flock.every(b => b.x < left - 150 || b.x > left + VIEW_W + 150)) {
+    flock = [];
+    let act = max(birdActivity(), 0.25);
+    nextFlockAt = wildT + floor(lerp(FLOCK_GAP[0], FLOCK_GAP[1], noise(wildT * 0.37, 71)) / act);
+  }
+}
+
+// A flock sets off just outside one edge of the view
+function launchFlock(left, act) {
+  flockDir = noise(wildT * 0.21, 33) < 0.5 ? 1 : -1;
+  let x0 = flockDir > 0 ? left - 60 : left + VIEW_W + 60;
+  let y0 = 70 + noise(wildT * 0.13, 44) * 90;
+  let n  = max(3, round(FLOCK_MAX * act));
+  for (let i = 0; i < n; i++) {
+    flock.push({
+      x:  x0 - flockDir * noise(i * 1.7, 5) * 70,
+      y:  y0 + (noise(i * 2.3, 6) - 0.5) * 40,
+      vx: flockDir * BIRD_SPEED,
+      vy: (noise(i * 3.1, 7) - 0.5) * 0.6,
+      ph: i * 1.3
+    });
+  }
+}
+
+// ─── Hare ────────────────────────────────────────────────────
+function updateHare() {
+  let h = hare;
+  h.t++;
+
+  // Camera centre relative to the hare; on the ring the short way round
+  let d = h.x - (parallaxX(1) + VIEW_W / 2);
+  if (loopMode === 'wrap') {
+    d = ((d % WORLD_W) + WORLD_W) % WORLD_W;
+    if (d > WORLD_W / 2) d -= WORLD_W;
+  }
+  let seen = abs(d) < VIEW_W / 2 + 40;
+
+  if (h.mode === 'hidden') {
+    // Comes out again somewhere off screen while it's still light
+    if (h.t % 60 === 0 && hareActivity() > 0.5) {
+      let x = h.x + WORLD_W * (0.3 + noise(wildT * 0.01, 5) * 0.4);
+      x = ((x % WORLD_W) + WORLD_W) % WORLD_W;
+      if (!inView(x, 80) && !overWater(x)) {
+        h.x    = x;
+        h.mode = 'graze';
+        h.t    = 0;
+        h.hop  = -1;
+      }
+    }
+    return;
+  }
+
+  if (h.mode === 'graze') {
+    if (abs(d) < HARE_NEAR && seen) {
+      h.mode = 'alert';
+      h.t    = 0;
+      h.hop  = -1;
+      return;
+    }
+    // Dusk — slips away once nobody is looking
+    if (hareActivity() < 0.05 && !seen) {
+      h.mode = 'hidden';
+      h.t    = 0;
+      return;
+    }
+    // A short hop every so often, now and then turning round
+    if (h.hop < 0 && noise(wildT * 0.05, 9) > 0.68) {
+      if (noise(wildT * 0.02, 11) > 0.6) h.dir = -h.dir;
+      h.hop = 0;
+    }
+    stepHop(h, 1 / 18, 1.2);
+  } else if (h.mode === 'alert') {
+    h.dir = d >= 0 ? 1 : -1;      // faces away from the camera
+    if (h.t >= HARE_ALERT) {
+      h.mode = 'flee';
+      h.t    = 0;
+      h.hop  = 0;
+    }
+  } else if (h.mode === 'flee') {
+    if (h.hop < 0) h.hop = 0;
+    stepHop(h, 1 / 10, 3.6);
+    // Out of sight, or cornered at the world's edge: into a burrow
+    if ((!seen && h.t > 20) || h.t > 150) {
+      h.mode = 'hidden';
+      h.t    = 0;
+    }
+  }
+
+  if (loopMode === 'wrap') h.x = ((h.x % WORLD_W) + WORLD_W) % WORLD_W;
+  else                     h.x = constrain(h.x, 10, WORLD_W - 10);
+}
+
+// Hares don't swim: at the pond's edge one turns back
+function stepHop(h, rate, speed) {
+  if (h.hop < 0) return;
+  if (overWater(h.x + h.dir * (speed + 8))) h.dir = -h.dir;
+  h.x   += h.dir * speed;
+  h.hop += rate;
+  if (h.hop >= 1) h.hop = -1;
+}
+
+// ============================================================
+//  DRAW
+// ============================================================
+
+// Birds live in camera-relative world x, so they draw once —
+// not per world copy
+function drawBirds() {
+  if (flock.length === 0) return 0;
+  let ns    = lerp(1, 0.055, tod);
+  let still = motionReduced();
+  let [r, g, b] = dn(...pal('bird'), ns);
+  let count = 0;
+
+  stroke(r, g, b);
+  strokeWeight(1.6);
+  noFill();
+  for (let bd of flock) {
+    if (!inView(bd.x, 10)) continue;
+    count++;
+    let flap = still ? 0.5 : (sin(wildT * 0.32 + bd.ph) + 1) * 0.5;
+    let wy   = lerp(-5, 2, flap);
+    line(bd.x - 6, bd.y + wy, bd.x, bd.y);
+    line(bd.x, bd.y, bd.x + 6, bd.y + wy);
+  }
+  noStroke();
+  return count;
+}
+
+// Hare, bats and owl — anchored to the world, so once per copy
+function drawWildlife(off = 0) {
+  let ns    = lerp(1, 0.055, tod);
+  let count = 0;
+  noStroke();
+
+  if (hare.mode !== 'hidden' && inView(hare.x + off, 20)) {
+    count++;
+    drawHare(hare, ns);
+  }
+
+  let bats = batActivity();
+  let owl  = owlActivity();
+  if (bats <= 0 && owl <= 0) return count;
+
+  let trees   = scene.trees;
+  let owlTree = floor(noise(17.3) * trees.length);
+  for (let i = 0; i < trees.length; i++) {
+    let tx = trees[i];
+    if (!inView(tx + off, 90) || overWater(tx)) continue;
+    let gY = groundY(tx);
+    let [h, w] = treeSize(tx);
+    if (bats > 0 && i % 2 === 0) {
+      count += 2;
+      drawBat(tx, gY - h - 14, w, i * 2.1,     bats, ns);
+      drawBat(tx, gY - h - 14, w, i * 2.1 + 3, bats, ns);
+    }
+    if (owl > 0 && i === owlTree) {
+      count++;
+      drawOwl(tx + w * 0.22, gY - h * 0.72, owl, ns);
+    }
+  }
+  return count;
+}
+
+// ─── Hare — body, head, long ears; sits up when alert ────────
+function drawHare(h, ns) {
+  let gy = groundY(h.x);
+  let lift = h.hop >= 0 ? sin(h.hop * PI) * (h.mode === 'flee' ? 9 : 5) : 0;
+  let up   = h.mode === 'alert';
+  let a    = 255 * max(hareActivity(), 0.15);
+  let [r, g, b] = dn(...pal('hare'), ns);
+
+  push();
+  translate(h.x, gy - lift);
+  scale(h.dir, 1);
+  fill(r, g, b, a);
+  if (up) {
+    ellipse(0, -8, 10, 15);
+    ellipse(3, -17, 8, 7);
+    ellipse(2, -25, 3, 11);
+    ellipse(5, -24, 3, 10);
+  } else {
+    ellipse(0, -5, 16, 10);
+    ellipse(8, -9, 7, 6);
+    push();
+    translate(9, -12);
+    rotate(h.hop >= 0 ? -0.9 : -0.4);
+    ellipse(-4, 0, 3, 10);
+    ellipse(-1, 0, 3, 9);
+    pop();
+  }
+  // White tail
+  let [wr, wg, wb] = dn(...pal('hareTail'), ns);
+  fill(wr, wg, wb, a);
+  ellipse(up ? -5 : -8, up ? -3 : -6, 5, 5);
+  pop();
+}
+
+// ─── Bat — loops round the canopy on flickering wings ────────
+function drawBat(cx, cy, w, ph, act, ns) {
+  let still = motionReduced();
+  let t  = still ? wildT * 0.3 : wildT;
+  let x  = cx + sin(t * 0.031 + ph) * w * 0.9 + (still ? 0 : sin(t * 0.11 + ph * 2) * 8);
+  let y  = cy - 20 + sin(t * 0.047 + ph) * 18;
+  let fl = still ? 0 : sin(t * 0.6 + ph) * 4;
+  let [r, g, b] = dn(...pal('bat'), max(ns, 0.35));
+
+  fill(r, g, b, 255 * act);
+  ellipse(x, y, 4, 5);
+  triangle(x - 1, y, x - 9, y - fl, x - 5, y + 3);
+  triangle(x + 1, y, x + 9, y - fl, x + 5, y + 3);
+}
+
+// ─── Owl — perched in the canopy, eyes catch the light ───────
+function drawOwl(x, y, act, ns) {
+  let [r, g, b] = dn(...pal('owl'), max(ns, 0.3));
+  let a = 255 * act;
+
+  fill(r, g, b, a);
+  ellipse(x, y, 14, 18);
+  ellipse(x, y - 10, 12, 10);
+  triangle(x - 6, y - 13, x - 4, y - 19, x - 2, y - 14);
+  triangle(x + 6, y - 13, x + 4, y - 19, x + 2, y - 14);
+
+  // Blinks now and then; pupils lean toward the middle of the view
+  if (wildT % 240 < 6 && !motionReduced()) return;
+  let look = constrain((parallaxX(1) + VIEW_W / 2 - x) / 400, -1, 1);
+  let [er, eg, eb] = pal('owlEye');
+  fill(er, eg, eb, a);
+  ellipse(x - 3, y - 10, 4.5, 4.5);
+  ellipse(x + 3, y - 10, 4.5, 4.5);
+  fill(...pal('owlPupil'), a);
+  ellipse(x - 3 + look, y - 10, 2, 2);
+  ellipse(x + 3 + look, y - 10, 2, 2);
+}
@@ -0,0 +1,172 @@
+// ============================================================
+//  WORLD SEED + GENERATOR
+//  ?seed=1234 drives every random() and noise() call, so the same
+//  seed always rebuilds the same world. Scenes with a "generate"
+//  block get terrain, trees, flowers, clouds, symbols and a pond made
+//  from the seed for any world width (?width=3600 overrides it).
+// ============================================================
+
+// Pastel petal colours the generator picks flower heads from
+const FLOWER_PALETTE = [
+  [255, 172, 185], [255, 228, 142], [212, 172, 255], [255, 188, 200],
+  [255, 235, 152], [188, 172, 255], [255, 198, 168], [172, 218, 255],
+  [255, 172, 212], [192, 255, 192], [255, 192, 225], [255, 240, 158]
+];
+
+// Where each symbol sits along the camera's travel (0 = start, 1 = end).
+// Matches the hand-placed default world: the leaf lands in the fast
+// golden-hour stretch of computeTOD(), the star at dusk.
+// The sun and moon instead hug the world's left and right edges.
+const SYMBOL_PLAN = [
+  { type: 'sun',  left:  150, wy: [145, 170] },
+  { type: 'leaf', p:    0.34, groundOffset: -14 },
+  { type: 'star', p:    0.69, wy: [175, 200] },
+  { type: 'moon', right: 100, wy: [150, 175] }
+];
+
+const MAX_WORLD_W = 40000;   // widest world ?width= may ask for
+
+let worldSeed   = 0;
+let widthWarned = false;   // ?width= out of range, said once
+
+// ─── Seed ────────────────────────────────────────────────────
+// Numeric seeds are used as-is; any other text is hashed, so
+// ?seed=meadow works too. No seed → a fresh one for this visit.
+function seedFromURL() {
+  let raw = new URLSearchParams(window.location.search).get('seed');
+  if (raw === null || raw === '') return floor(Math.random() * 1000000);
+  if (/^\d+$/.test(raw)) return parseInt(raw, 10);
+
+  let h = 0;
+  for (let i = 0; i < raw.length; i++) {
+    h = (h * 31 + raw.charCodeAt(i)) % 1000000007;
+  }
+  return h;
+}
+
+// Re-seed both generators — call before any world-building random()
+function applySeed(seed) {
+  randomSeed(seed);
+  noiseSeed(seed);
+}
+
+// Query string that reproduces this world — scene, width and biome
+// only when they differ from the defaults
+function shareQuery() {
+  let q = '?seed=' + worldSeed;
+  if (sceneName !== DEFAULT_SCENE) q += '&scene=' + sceneName;
+  if (scene && scene.generate && widthFromURL()) q += '&width=' + WORLD_W;
+  if (biomeName !== 'meadow') q += '&biome=' + biomeName;
+  return q;
+}
+
+// ?width= kept between a view's width and MAX_WORLD_W, so the
+// generator and the cached layers never get a runaway size;
+// 0 or less (or not a number) is ignored
+function widthFromURL() {
+  if (replaying) return replayLog.width;   // the width the session was recorded at
+  let raw = new URLSearchParams(window.location.search).get('width');
+  let w   = parseInt(raw, 10);
+  if (isNaN(w) || w <= 0) return null;
+  let lo = max(MIN_WORLD_W, ceil(VIEW_W));
+  if (w < lo || w > MAX_WORLD_W) {
+    w = constrain(w, lo, MAX_WORLD_W);
+    if (!widthWarned) console.warn('[scene] ?width=' + raw + ' is out of range — using ' + w);
+    widthWarned = true;
+  }
+  return w;
+}
+
+// ─── Generator ───────────────────────────────────────────────
+// Fill in whatever the scene leaves out. Hand-written sections win,
+// so a designer can fix the symbols and let the terrain vary.
+function generateScene(base, seed) {
+  applySeed(seed);
+
+  let opts = base.generate || {};
+  let w    = widthFromURL() || base.worldWidth || 2400;
+  let out  = Object.assign({}, base, { worldWidth: w });
+
+  if (!out.terrain) {
+    out.terrain = {
+      step:   6,
+      far:    waveLayer(212, [[0.0025, 0.0035, 40, 60], [0.006, 0.008, 18, 30]]),
+      mid:    waveLayer(270, [[0.0040, 0.0050, 28, 38], [0.008, 0.010, 10, 18]]),
+      ground: waveLayer(316, [[0.0050, 0.0070,  6, 11]])
+    };
+  }
+
+  if (!out.clouds) {
+    out.clouds = spaced(w, opts.cloudSpacing || 340, 150, 40).map(x => ({
+      x: x,
+      y: round(random(48, 75)),
+      s: round(random(0.85, 1.4), 2)
+    }));
+  }
+
+  if (!out.trees) {
+    out.trees = spaced(w, opts.treeSpacing || 185, random(60, 110), 25);
+  }
+
+  if (!out.flowers) {
+    out.flowers = spaced(w, opts.flowerSpacing || 180, random(120, 160), 20).map(x => ({
+      x: x,
+      c: random(FLOWER_PALETTE)
+    }));
+  }
+
+  if (!out.symbols) {
+    out.symbols = SYMBOL_PLAN.map(plan => {
+      let wx;
+      if      (plan.left  !== undefined) wx = plan.left + random(-30, 30);
+      else if (plan.right !== undefined) wx = w - plan.right + random(-30, 30);
+      else {
+        // Screen-centre position for the plan's progress, nudged a little
+        let p = constrain(plan.p + random(-0.03, 0.03), 0, 1);
+        wx = BASE_W / 2 + p * (w - BASE_W);
+      }
+      let sym = { type: plan.type, wx: round(wx) };
+      if (plan.wy) sym.wy = round(random(plan.wy[0], plan.wy[1]));
+      else         sym.groundOffset = plan.groundOffset;
+      return sym;
+    });
+  }
+
+  // A pond between the leaf and the star, clear of generated trees
+  // and flowers (hand-placed ones are the designer's call).
+  // "pond": null in the scene asks for none
+  if (out.pond === undefined) {
+    let leaf = out.symbols.find(sym => sym.type === 'leaf');
+    let star = out.symbols.find(sym => sym.type === 'star');
+    if (leaf && star && star.wx - leaf.wx > 360) {
+      let pw = round(random(150, 220));
+      out.pond = { x: round((leaf.wx + star.wx) / 2 + random(-40, 40)), w: pw, depth: round(random(28, 38)) };
+      let clear = x => abs(x - out.pond.x) > pw / 2;
+      if (!base.trees)   out.trees   = out.trees.filter(clear);
+      if (!base.flowers) out.flowers = out.flowers.filter(f => clear(f.x));
+    }
+  }
+
+  return out;
+}
+
+// A sine layer: each wave is [minFreq, maxFreq, minAmp, maxAmp]
+function waveLayer(base, waves) {
+  return {
+    base: base,
+    waves: waves.map(([f0, f1, a0, a1]) => ({
+      freq:  random(f0, f1),
+      phase: random(TWO_PI),
+      amp:   random(a0, a1)
+    }))
+  };
+}
+
+// World x positions roughly `gap` apart, each jittered by ±jitter
+function spaced(w, gap, start, jitter) {
+  let xs = [];
+  for (let x = start; x < w - 40; x += gap) {
+    xs.push(round(constrain(x + random(-jitter, jitter), 20, w - 20)));
+  }
+  return xs;
+}